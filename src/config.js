@@ -1,5 +1,34 @@
 require('dotenv').config();
 
+// Parse a comma-separated list such as QUERY_ALLOWED_COLLECTIONS
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Parse BACKUP_RETENTION, e.g. 'last=3,daily=7,weekly=4,monthly=6'
+const parseRetention = (value) => {
+  return (value || '').split(',').reduce((acc, rule) => {
+    const [name, count] = rule.split('=').map(part => part.trim());
+    if (['last', 'daily', 'weekly', 'monthly'].includes(name) && parseInt(count) >= 0) {
+      acc[name] = parseInt(count);
+    }
+    return acc;
+  }, {});
+};
+
+// Parse API_KEYS, a JSON array of { name, key, scopes } entries
+const parseApiKeys = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const keys = JSON.parse(value);
+    return Array.isArray(keys) ? keys : [];
+  } catch (error) {
+    console.error('Invalid API_KEYS configuration:', error.message);
+    return [];
+  }
+};
+
 module.exports = {
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/payment_api'
@@ -10,6 +39,49 @@ module.exports = {
   },
   api: {
     version: process.env.API_VERSION || 'v1',
-    key: process.env.API_KEY || 'your-secret-api-key-here'
+    // Legacy single key, treated as an admin key
+    key: process.env.API_KEY || 'your-secret-api-key-here',
+    // Additional scoped keys
+    keys: parseApiKeys(process.env.API_KEYS)
+  },
+  jwt: {
+    enabled: process.env.JWT_ENABLED === 'true',
+    // HS256 uses JWT_SECRET, RS256 uses the keys in JWT_JWKS_PATH
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    secret: process.env.JWT_SECRET,
+    jwksPath: process.env.JWT_JWKS_PATH,
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE,
+    userIdClaim: process.env.JWT_USER_ID_CLAIM || 'sub',
+    rolesClaim: process.env.JWT_ROLES_CLAIM || 'roles',
+    // Scopes for tokens without a scope claim; none unless the operator grants them
+    defaultScopes: (process.env.JWT_DEFAULT_SCOPES || '').split(' ').filter(Boolean)
+  },
+  queryPolicy: {
+    // Blocks $out/$merge unless set to false
+    readOnly: process.env.QUERY_READ_ONLY !== 'false',
+    // Empty lists allow every collection / operator; stages default to the read-only stages
+    allowedCollections: parseList(process.env.QUERY_ALLOWED_COLLECTIONS),
+    allowedOperators: parseList(process.env.QUERY_ALLOWED_OPERATORS),
+    allowedStages: parseList(process.env.QUERY_ALLOWED_STAGES),
+    maxTimeMS: parseInt(process.env.QUERY_MAX_TIME_MS) || 5000,
+    maxResults: parseInt(process.env.QUERY_MAX_RESULTS) || 1000
+  },
+  audit: {
+    // Extra attempts for a failed audit log write before the response reports it as unaudited
+    writeRetries: parseInt(process.env.AUDIT_WRITE_RETRIES) >= 0 ? parseInt(process.env.AUDIT_WRITE_RETRIES) : 2,
+    // Wait before the first retry, doubled for each further one
+    retryDelayMs: parseInt(process.env.AUDIT_RETRY_DELAY_MS) >= 0 ? parseInt(process.env.AUDIT_RETRY_DELAY_MS) : 100
+  },
+  populate: {
+    // Reference hops allowed in one ?populate= path, e.g. 'order.customer' is 2
+    maxDepth: parseInt(process.env.POPULATE_MAX_DEPTH) || 3
+  },
+  backup: {
+    directory: process.env.BACKUP_DIR || 'backups',
+    // Cron expression for scheduled backups; empty disables the schedule
+    schedule: process.env.BACKUP_SCHEDULE || '',
+    // Empty keeps every backup
+    retention: parseRetention(process.env.BACKUP_RETENTION)
   }
 };
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Schema = require('../models/Schema');
+
+// One mongoose model per collection, shared by every router. A collection with an active
+// Schema gets a model generated from it; any other collection gets a schemaless model.
+// Each entry remembers which schema state it was built from, and is rebuilt as soon as a
+// caller passes a different one, so a schema created, updated or deactivated (here or by
+// another process) takes effect on the next request. The schema routes also call
+// invalidateModel() after every change.
+
+const registry = new Map();
+
+// Registered models get their own namespace so a collection called e.g. "Schema" cannot
+// replace one of the API's own models
+const getModelName = (collectionName) => `collection:${collectionName}`;
+
+// Identifies the schema state a model was built from
+const getSignature = (schemaDef) => {
+  return schemaDef ? `${schemaDef._id}:${new Date(schemaDef.updatedAt).getTime()}` : 'schemaless';
+};
+
+const buildMongooseSchema = (collectionName, schemaDef) => {
+  if (!schemaDef) {
+    return new mongoose.Schema({}, {
+      collection: collectionName,
+      strict: false, // Allow any fields
+      timestamps: true
+    });
+  }
+
+  // Declared fields are cast and validated; other fields stay allowed as before, which
+  // ownership stamping and soft-delete tombstones rely on
+  const mongooseSchema = schemaDef.generateMongooseSchema({ strict: false });
+  mongooseSchema.set('collection', collectionName);
+  return mongooseSchema;
+};
+
+const removeModel = (name) => {
+  if (mongoose.models[name]) {
+    mongoose.deleteModel(name);
+  }
+};
+
+// Model for a collection; `schemaDef` is its active Schema (or null), which the routes
+// have already loaded for access rules
+const getModel = (collectionName, schemaDef) => {
+  const signature = getSignature(schemaDef);
+  const entry = registry.get(collectionName);
+  if (entry && entry.signature === signature) {
+    return entry.model;
+  }
+
+  const name = getModelName(collectionName);
+  removeModel(name);
+  const model = mongoose.model(name, buildMongooseSchema(collectionName, schemaDef));
+  registry.set(collectionName, { model, signature });
+  return model;
+};
+
+// Model for a collection, loading its active Schema first
+const loadModel = async (collectionName) => {
+  const schemaDef = await Schema.getByCollectionName(collectionName);
+  return { schemaDef, model: getModel(collectionName, schemaDef) };
+};
+
+// Forget the model of a collection; the next getModel() builds it again
+const invalidateModel = (collectionName) => {
+  registry.delete(collectionName);
+  removeModel(getModelName(collectionName));
+};
+
+// Run `fn` with a short-lived model built from `schemaDef`, removed again afterwards.
+// Used to validate data against a definition that may not be the active one.
+const withValidationModel = async (schemaDef, fn) => {
+  const name = `validate:${schemaDef.collectionName}:${new mongoose.Types.ObjectId()}`;
+  const mongooseSchema = schemaDef.generateMongooseSchema();
+  // Never create the collection or its indexes from a validation model
+  mongooseSchema.set('autoIndex', false);
+  mongooseSchema.set('autoCreate', false);
+
+  const model = mongoose.model(name, mongooseSchema);
+  try {
+    return await fn(model);
+  } finally {
+    removeModel(name);
+  }
+};
+
+module.exports = {
+  getModel,
+  loadModel,
+  invalidateModel,
+  withValidationModel
+};
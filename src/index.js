@@ -5,17 +5,25 @@ const connectDB = require('./database/connection');
 const config = require('./config');
 const errorHandler = require('./middleware/errorHandler');
 const { apiLimiter, paymentLimiter, userCreationLimiter } = require('./middleware/rateLimiter');
-const { authenticateApiKey, optionalApiKeyAuth, generateApiKey } = require('./middleware/auth');
+const { authenticate, authenticateApiKey, optionalApiKeyAuth, requireScope } = require('./middleware/auth');
+const { reportAuditFailures } = require('./middleware/auditStatus');
+const { startBackupSchedule } = require('./utils/backup');
+const { jsonReplacer } = require('./utils/fieldTypes');
 
 // Import routes
 const universalRoutes = require('./routes/universal');
 const schemaRoutes = require('./routes/schemas');
 const collectionRoutes = require('./routes/collections');
 const databaseRoutes = require('./routes/database');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
 
 // Connect to MongoDB
 connectDB();
 
+// Scheduled backups (BACKUP_SCHEDULE)
+startBackupSchedule();
+
 const app = express();
 
 // Security middleware
@@ -31,10 +39,16 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
+// Decimal128, UUID and binary values are sent as strings in every JSON response
+app.set('json replacer', jsonReplacer);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Writes whose audit entry could not be stored are reported on the response
+app.use(reportAuditFailures);
+
 // Rate limiting
 app.use('/api', apiLimiter);
 
@@ -48,22 +62,15 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API key generation endpoint (for development/testing)
-app.get('/generate-api-key', (req, res) => {
-  const newApiKey = generateApiKey();
-  res.json({
-    success: true,
-    message: 'New API key generated',
-    apiKey: newApiKey,
-    note: 'Add this to your .env file as API_KEY=your-key-here'
-  });
-});
-
 // Complete MongoDB Database System API routes (protected with API key authentication)
-app.use(`/api/${config.api.version}/database`, authenticateApiKey, apiLimiter, databaseRoutes);
-app.use(`/api/${config.api.version}/schemas`, authenticateApiKey, apiLimiter, schemaRoutes);
-app.use(`/api/${config.api.version}/collections`, authenticateApiKey, apiLimiter, collectionRoutes);
-app.use(`/api/${config.api.version}`, authenticateApiKey, apiLimiter, universalRoutes);
+// Database and schema management require the admin scope; collection routes check
+// read/write scopes per route and also accept end-user tokens
+app.use(`/api/${config.api.version}/database`, authenticateApiKey, requireScope('admin'), apiLimiter, databaseRoutes);
+app.use(`/api/${config.api.version}/schemas`, authenticateApiKey, requireScope('admin'), apiLimiter, schemaRoutes);
+app.use(`/api/${config.api.version}/keys`, authenticateApiKey, requireScope('admin'), apiLimiter, apiKeyRoutes);
+app.use(`/api/${config.api.version}/audit`, authenticateApiKey, requireScope('admin'), apiLimiter, auditRoutes);
+app.use(`/api/${config.api.version}/collections`, authenticate, apiLimiter, collectionRoutes);
+app.use(`/api/${config.api.version}`, authenticate, apiLimiter, universalRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -73,13 +80,16 @@ app.get('/', (req, res) => {
     version: config.api.version,
     authentication: {
       required: true,
-      method: 'API Key',
+      method: config.jwt.enabled ? 'API Key or user JWT' : 'API Key',
       header: 'X-API-Key or Authorization: Bearer <api-key>',
-      generateKey: '/generate-api-key'
+      userToken: config.jwt.enabled ? `Authorization: Bearer <jwt> (${config.jwt.algorithm})` : undefined,
+      scopes: ['admin', 'read', 'write', 'read:<collection>', 'write:<collection>'],
+      manageKeys: `/api/${config.api.version}/keys`
     },
     endpoints: {
       health: '/health',
-      generateApiKey: '/generate-api-key',
+      keys: `/api/${config.api.version}/keys`,
+      audit: `/api/${config.api.version}/audit`,
       database: `/api/${config.api.version}/database`,
       schemas: `/api/${config.api.version}/schemas`,
       collections: `/api/${config.api.version}/collections`,
@@ -93,9 +103,13 @@ app.get('/', (req, res) => {
         'DELETE /collections/:name': 'Drop collection',
         'POST /collections/:name/indexes': 'Create index on collection',
         'DELETE /collections/:name/indexes/:indexName': 'Drop index',
-        'POST /query': 'Execute raw MongoDB queries',
-        'POST /backup': 'Create database backup',
-        'POST /restore': 'Restore database from backup'
+        'POST /query': 'Execute raw MongoDB queries (subject to the query policy)',
+        'POST /backup': 'Create database backup (canonical Extended JSON)',
+        'GET /backups': 'List backup archives on disk',
+        'POST /backups': 'Write a compressed backup archive to disk now',
+        'GET /backups/:name': 'Download a backup archive',
+        'DELETE /backups/:name': 'Delete a backup archive',
+        'POST /restore': 'Restore from backup data or a backup archive (mode: replace|merge|insert-missing, dryRun)'
       },
       schemas: {
         'GET /': 'List all database schemas',
@@ -106,7 +120,31 @@ app.get('/', (req, res) => {
         'DELETE /:id': 'Delete schema',
         'GET /:id/collections': 'Get collections created from schema',
         'POST /:id/validate': 'Validate data against schema',
-        'GET /export/:id': 'Export schema as JSON'
+        'GET /export/:id': 'Export schema as JSON',
+        'POST /import': 'Import schemas from an export, JSON Schema or OpenAPI 3 document',
+        'GET /:id/validator': 'Compare the generated $jsonSchema with the collection validator',
+        'POST /:id/validator/sync': 'Apply the native collection validator',
+        'GET /:id/versions': 'List schema versions',
+        'GET /:id/versions/:version': 'Get a schema version and its diff',
+        'POST /:id/migrations/preview': 'Preview a data migration on sample documents',
+        'POST /:id/migrations': 'Create and start a data migration',
+        'GET /:id/migrations': 'List data migrations',
+        'GET /migrations/:migrationId': 'Get migration progress',
+        'POST /migrations/:migrationId/run': 'Start or resume a migration',
+        'POST /migrations/:migrationId/pause': 'Pause a migration after its current batch',
+        'POST /migrations/:migrationId/rollback': 'Roll back the changes of a migration'
+      },
+      keys: {
+        'GET /': 'List API keys',
+        'GET /:id': 'Get API key by ID',
+        'POST /': 'Create API key (the key is only returned once)',
+        'POST /:id/rotate': 'Rotate API key with an overlap window',
+        'POST /:id/expire': 'Set API key expiry',
+        'POST /:id/revoke': 'Revoke API key'
+      },
+      audit: {
+        'GET /': 'Query audit entries (?collection=&documentId=&actor=&action=&from=&to=)',
+        'GET /:id': 'Get audit entry by ID'
       },
       collections: {
         'GET /': 'List all collections with schema info',
@@ -115,16 +153,26 @@ app.get('/', (req, res) => {
         'POST /:collectionName/documents': 'Create new document',
         'PUT /:collectionName/documents/:id': 'Update document',
         'DELETE /:collectionName/documents/:id': 'Delete document',
-        'POST /:collectionName/analyze': 'Analyze collection structure'
+        'POST /:collectionName/analyze': 'Analyze collection structure',
+        'POST /:collectionName/infer-schema': 'Draft (or save) a Schema inferred from the collection data'
       },
       universal: {
         'GET /collections': 'List all collections in the database',
         'GET /:collection': 'Get all documents from a collection with filtering and pagination',
+        'GET /:collection/export': 'Stream documents as a file (?format=ndjson|csv|ejson&gzip=true, same filters as list)',
+        'POST /:collection/import': 'Import a CSV or NDJSON upload (?format=csv|ndjson&dryRun=true&map={...})',
         'GET /:collection/:id': 'Get document by ID',
         'POST /:collection': 'Create new document',
         'PUT /:collection/:id': 'Update document (full replace)',
         'PATCH /:collection/:id': 'Update document (partial update)',
         'DELETE /:collection/:id': 'Delete document',
+        'GET /:collection/trash': 'List soft-deleted documents (soft-delete collections)',
+        'DELETE /:collection/trash': 'Purge soft-deleted documents (?olderThanDays=30)',
+        'POST /:collection/:id/restore': 'Restore a soft-deleted document',
+        'GET /:collection/:id/revisions': 'List document revisions (versioned collections)',
+        'GET /:collection/:id/revisions/diff': 'Diff two revisions (?from=1&to=current)',
+        'GET /:collection/:id/revisions/:revision': 'Get a specific revision',
+        'POST /:collection/:id/revisions/:revision/restore': 'Restore document to a revision',
         'POST /:collection/bulk': 'Bulk operations (insert, update, delete)',
         'GET /:collection/stats': 'Get collection statistics'
       },
@@ -132,10 +180,15 @@ app.get('/', (req, res) => {
         filtering: '?name=John&age>25&status=active',
         sorting: '?sort=name,-createdAt',
         pagination: '?page=1&limit=10',
+        cursorPagination: '?paginate=cursor&limit=50, then ?cursor=<nextCursor|prevCursor>',
+        counts: '?count=exact|estimated|none',
         fields: '?fields=name,email,createdAt',
-        regex: '?name~john (case-insensitive search)',
+        regex: '?name=~john (case-insensitive search)',
         arrays: '?tags=tag1,tag2,tag3',
-        comparison: '?price>100&price<=500'
+        comparison: '?price>100&price<=500',
+        structured: '?filter={"$or":[{"status":"active"},{"amount":{"$gte":100}}]}',
+        trash: '?includeDeleted=true (include soft-deleted documents)',
+        populate: '?populate=customer(name,email),lines.product (list and get by ID)'
       }
     }
   });
@@ -0,0 +1,23 @@
+// Flags successful responses whose change could not be written to the audit log
+// (recordAudit keeps those errors on req.auditErrors), so the caller learns the write
+// went through without an audit record instead of getting a 500 for an applied change.
+const reportAuditFailures = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (req.auditErrors && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({
+        ...body,
+        auditRecorded: false,
+        warning: `The change was applied but could not be written to the audit log: ${req.auditErrors.join('; ')}`
+      });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  reportAuditFailures
+};
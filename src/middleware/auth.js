@@ -1,9 +1,147 @@
 const config = require('../config');
+const ApiKey = require('../models/ApiKey');
+const { looksLikeJwt, verifyToken } = require('../utils/jwt');
+const { isInternalCollection } = require('../utils/internalCollections');
+
+// Scopes understood by the API:
+//   admin               full access, including the /database and /schemas routers
+//   read                read access to every collection
+//   write               read-write access to every collection
+//   read:<collection>   read access to a single collection
+//   write:<collection>  read-write access to a single collection
+
+// Keys configured through the environment. The legacy API_KEY is kept as an admin key.
+// Everything else lives hashed in the api_keys collection. Configured keys are identified
+// as 'config:<name>' (in audit entries, caller fields, ...) since they have no stored id.
+const configuredKeys = [
+  { name: 'default', key: config.api.key, scopes: ['admin'] },
+  ...config.api.keys.map(entry => ({
+    name: entry.name || 'unnamed',
+    key: entry.key,
+    scopes: Array.isArray(entry.scopes) ? entry.scopes : []
+  }))
+].filter(entry => entry.key).map(entry => ({ id: `config:${entry.name}`, ...entry }));
+
+// Read the API key from the X-API-Key or Authorization header
+const extractApiKey = (req) => {
+  return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+};
+
+// Read a user token from the Authorization header
+const extractBearerToken = (req) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  return looksLikeJwt(token) ? token : null;
+};
+
+// Look up a key in the configuration, then in the key store
+const findApiKey = async (apiKey) => {
+  const configured = configuredKeys.find(entry => entry.key === apiKey);
+  if (configured) {
+    return configured;
+  }
+
+  const stored = await ApiKey.findActiveByKey(apiKey);
+  if (!stored) {
+    return null;
+  }
+
+  // Record usage without holding up the request
+  ApiKey.updateOne({ _id: stored._id }, { lastUsedAt: new Date() })
+    .catch(error => console.error('Error recording API key usage:', error.message));
+
+  return {
+    id: stored._id.toString(),
+    name: stored.name,
+    scopes: stored.scopes
+  };
+};
+
+// Attach the key's identity to the request
+const setAuthContext = (req, apiKey, entry) => {
+  req.apiKey = apiKey;
+  req.auth = {
+    type: 'apiKey',
+    id: entry.id,
+    name: entry.name,
+    scopes: entry.scopes,
+    roles: entry.scopes.includes('admin') ? ['admin'] : []
+  };
+};
+
+// Attach the token's user to the request
+const setUserContext = (req, claims) => {
+  const id = claims[config.jwt.userIdClaim];
+  const roles = claims[config.jwt.rolesClaim];
+  const scopes = typeof claims.scope === 'string'
+    ? claims.scope.split(' ').filter(Boolean)
+    : config.jwt.defaultScopes;
+
+  req.user = {
+    id: id !== undefined ? String(id) : undefined,
+    roles: Array.isArray(roles) ? roles : roles ? [roles] : [],
+    claims
+  };
+  req.auth = {
+    type: 'user',
+    id: req.user.id,
+    name: req.user.id,
+    scopes,
+    roles: req.user.roles
+  };
+};
+
+// Verify a user token and fill in req.user, or respond with 401
+const handleUserToken = (req, res, next, token) => {
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.name === 'NotBeforeError') {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid user token: ${error.message}`
+      });
+    }
+    return next(error);
+  }
+
+  if (claims[config.jwt.userIdClaim] === undefined) {
+    return res.status(401).json({
+      success: false,
+      message: `Invalid user token: missing "${config.jwt.userIdClaim}" claim`
+    });
+  }
+
+  setUserContext(req, claims);
+  next();
+};
+
+// Check whether the granted scopes satisfy the required scope
+const hasScope = (scopes = [], required) => {
+  if (scopes.includes('admin') || scopes.includes(required)) {
+    return true;
+  }
+
+  const [operation, collection] = required.split(':');
+
+  if (operation === 'read') {
+    if (scopes.includes('write')) {
+      return true;
+    }
+    return !!collection && (scopes.includes('read') || scopes.includes(`write:${collection}`));
+  }
+
+  if (operation === 'write') {
+    return !!collection && scopes.includes('write');
+  }
+
+  return false;
+};
 
 // API Key authentication middleware
-const authenticateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+
   if (!apiKey) {
     return res.status(401).json({
       success: false,
@@ -11,38 +149,121 @@ const authenticateApiKey = (req, res, next) => {
     });
   }
 
-  if (apiKey !== config.api.key) {
+  let entry;
+  try {
+    entry = await findApiKey(apiKey);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!entry) {
     return res.status(403).json({
       success: false,
       message: 'Invalid API key. Access denied.'
     });
   }
 
-  // Add API key info to request for logging purposes
-  req.apiKey = apiKey;
+  // Add API key info to request for logging and scope checks
+  setAuthContext(req, apiKey, entry);
   next();
 };
 
 // Optional API key authentication (for public endpoints that can work with or without auth)
-const optionalApiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
+const optionalApiKeyAuth = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+
   if (apiKey) {
-    if (apiKey !== config.api.key) {
+    let entry;
+    try {
+      entry = await findApiKey(apiKey);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!entry) {
       return res.status(403).json({
         success: false,
         message: 'Invalid API key. Access denied.'
       });
     }
-    req.apiKey = apiKey;
+    setAuthContext(req, apiKey, entry);
     req.authenticated = true;
   } else {
     req.authenticated = false;
   }
-  
+
+  next();
+};
+
+// End-user JWT authentication middleware
+const authenticateUser = (req, res, next) => {
+  if (!config.jwt.enabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'User token authentication is not enabled.'
+    });
+  }
+
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'User token is required. Please provide it in the Authorization header.'
+    });
+  }
+
+  handleUserToken(req, res, next, token);
+};
+
+// Accept either a user token or an API key
+const authenticate = (req, res, next) => {
+  const token = config.jwt.enabled ? extractBearerToken(req) : null;
+
+  if (token) {
+    return handleUserToken(req, res, next, token);
+  }
+
+  authenticateApiKey(req, res, next);
+};
+
+// Require a scope; accepts a scope string or a function deriving it from the request
+const requireScope = (scope) => (req, res, next) => {
+  const required = typeof scope === 'function' ? scope(req) : scope;
+
+  if (!hasScope(req.auth?.scopes, required)) {
+    return res.status(403).json({
+      success: false,
+      message: `Missing required scope: ${required}`,
+      requiredScope: required
+    });
+  }
+
+  next();
+};
+
+// Refuse the API's internal collections (api_keys, audit_logs, ...) to non-admin callers
+const rejectInternalCollection = (paramName = 'collection') => (req, res, next) => {
+  const collection = req.params[paramName];
+
+  if (isInternalCollection(collection) && !hasScope(req.auth?.scopes, 'admin')) {
+    return res.status(403).json({
+      success: false,
+      message: `Collection '${collection}' is internal to the API and requires the admin scope`,
+      requiredScope: 'admin'
+    });
+  }
+
   next();
 };
 
+// Require read or write access to the collection named by a route parameter
+const requireCollectionScope = (operation, paramName = 'collection') => {
+  const checkScope = requireScope(req => `${operation}:${req.params[paramName]}`);
+  const checkInternal = rejectInternalCollection(paramName);
+  return (req, res, next) => checkInternal(req, res, () => checkScope(req, res, next));
+};
+
 // Generate a new API key (utility function)
 const generateApiKey = () => {
   const crypto = require('crypto');
@@ -50,7 +271,13 @@ const generateApiKey = () => {
 };
 
 module.exports = {
+  authenticate,
   authenticateApiKey,
+  authenticateUser,
   optionalApiKeyAuth,
+  requireScope,
+  requireCollectionScope,
+  rejectInternalCollection,
+  hasScope,
   generateApiKey
 };
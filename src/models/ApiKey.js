@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // SHA-256 of the key; the plain key is only returned once when issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to help identify it in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys',
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Current state of the key
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) {
+    return 'revoked';
+  }
+  if (this.expiresAt && this.expiresAt <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+});
+
+// Static method to hash a plain key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to store a new key from its plain value
+apiKeySchema.statics.issue = function(key, attributes) {
+  return this.create({
+    ...attributes,
+    keyHash: this.hashKey(key),
+    prefix: key.substring(0, 8)
+  });
+};
+
+// Static method to find a key that is neither revoked nor expired
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
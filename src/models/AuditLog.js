@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    authType: String, // 'apiKey' or 'user'
+    id: String,
+    name: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  method: String,
+  route: String,
+  collectionName: {
+    type: String,
+    index: true
+  },
+  documentId: {
+    type: String,
+    index: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: mongoose.Schema.Types.Mixed, // [{ path, from, to }]
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'audit_logs',
+  versionKey: false
+});
+
+auditLogSchema.index({ 'actor.id': 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.name': 1, timestamp: -1 });
+
+// The audit log is append-only
+const rejectModification = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectModification);
+});
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
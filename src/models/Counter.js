@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Numbers handed out so far by one sequence field, e.g. _id 'invoices.invoiceNumber'
+const counterSchema = new mongoose.Schema({
+  _id: String, // <collection>.<field>
+  collectionName: {
+    type: String,
+    required: true
+  },
+  field: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'sequence_counters',
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
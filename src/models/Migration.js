@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A data migration over the documents of a schema's collection
+const migrationSchema = new mongoose.Schema({
+  schemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schema',
+    required: true
+  },
+  collectionName: {
+    type: String,
+    required: true
+  },
+  schemaVersion: Number, // schema version the migration was written for
+  description: String,
+  // [{ op: 'rename' | 'convert' | 'default' | 'remove' | 'split' | 'merge', ... }]
+  operations: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true
+  },
+  batchSize: {
+    type: Number,
+    default: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'paused', 'completed', 'failed', 'rolling-back', 'rolled-back'],
+    default: 'pending'
+  },
+  // The runner walks the collection in _id order and resumes after lastId
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    lastId: mongoose.Schema.Types.Mixed
+  },
+  // The process currently running (or rolling back) the migration holds runId and refreshes
+  // heartbeatAt after every batch; pause requests are read by the runner between batches
+  runId: String,
+  heartbeatAt: Date,
+  pauseRequested: {
+    type: Boolean,
+    default: false
+  },
+  failures: [{
+    documentId: String,
+    error: String
+  }],
+  error: String,
+  createdBy: {
+    authType: String,
+    id: String,
+    name: String
+  },
+  startedAt: Date,
+  completedAt: Date,
+  rolledBackAt: Date
+}, {
+  timestamps: true
+});
+
+migrationSchema.index({ schemaId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Migration', migrationSchema);
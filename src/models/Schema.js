@@ -1,4 +1,106 @@
 const mongoose = require('mongoose');
+const { FIELD_TYPES, GEO_TYPES, roundDecimal, compareDecimals, toBinary, toJsonValue, isValidGeometry } = require('../utils/fieldTypes');
+const { GENERATED_STRATEGIES, describeGeneratedError } = require('../utils/generatedFields');
+
+// Type and constraints shared by fields and array item definitions
+const constraintDefinition = () => ({
+  type: {
+    type: String,
+    required: true,
+    enum: FIELD_TYPES
+  },
+  default: mongoose.Schema.Types.Mixed,
+  enum: [String],
+  min: Number,
+  max: Number,
+  minLength: Number,
+  maxLength: Number,
+  pattern: String, // regex pattern
+  ref: String, // for ObjectId references
+  scale: {
+    type: Number,
+    min: 0,
+    max: 34
+  }, // decimal places kept for Decimal128
+  description: String
+});
+
+// Element definition of an Array field, e.g. { type: 'Number', min: 0 }
+const itemDefinitionSchema = new mongoose.Schema(constraintDefinition(), { _id: false });
+
+// How the server fills in a field on create, e.g. { strategy: 'sequence', prefix: 'INV-', padding: 6 }
+const generatedValueSchema = new mongoose.Schema({
+  strategy: {
+    type: String,
+    required: true,
+    enum: GENERATED_STRATEGIES
+  },
+  prefix: String, // sequence: text before the number
+  padding: {
+    type: Number,
+    min: 0,
+    max: 20
+  }, // sequence: zero-pad the number to this many digits
+  start: {
+    type: Number,
+    default: 1
+  } // sequence: first number handed out
+}, { _id: false });
+
+const fieldDefinitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ...constraintDefinition(),
+  required: {
+    type: Boolean,
+    default: false
+  },
+  unique: {
+    type: Boolean,
+    default: false
+  },
+  index: {
+    type: Boolean,
+    default: false
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  }, // never returned by the API
+  readOnly: {
+    type: Boolean,
+    default: false
+  }, // never writable through the API
+  readRoles: [String], // only these roles see the field
+  writeRoles: [String], // only these roles may write the field
+  generated: generatedValueSchema // filled in by the server, never by the client
+});
+
+// Generated values are set on the document itself, so only top-level fields can have them
+fieldDefinitionSchema.path('generated').validate({
+  validator: function(generated) {
+    if (!generated) {
+      return true;
+    }
+    if (this.parent() !== this.ownerDocument()) {
+      throw new Error(`Field '${this.name}': only top-level fields can be generated`);
+    }
+    const error = describeGeneratedError(this);
+    if (error) {
+      throw new Error(`Field '${this.name}': ${error}`);
+    }
+    return true;
+  },
+  message: props => props.reason.message
+});
+
+// Object fields nest their own fields, Array fields describe their elements and Map fields
+// their values, to any depth
+fieldDefinitionSchema.add({ fields: [fieldDefinitionSchema], items: itemDefinitionSchema });
+itemDefinitionSchema.add({ fields: [fieldDefinitionSchema], items: itemDefinitionSchema });
 
 const schemaDefinitionSchema = new mongoose.Schema({
   collectionName: {
@@ -17,49 +119,68 @@ const schemaDefinitionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  fields: [{
-    name: {
-      type: String,
-      required: true,
-      trim: true
-    },
-    type: {
+  fields: [fieldDefinitionSchema],
+  indexes: [{
+    fields: mongoose.Schema.Types.Mixed, // {field1: 1, field2: -1}
+    options: {
+      unique: Boolean,
+      sparse: Boolean,
+      background: Boolean
+    }
+  }],
+  validationRules: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Row-level access rules for end users, e.g.
+  // { operations: ['read', 'update'], filter: { ownerId: '$user.id' } }
+  accessRules: [{
+    operations: [{
       type: String,
-      required: true,
-      enum: ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Array', 'Object', 'Mixed']
+      enum: ['read', 'create', 'update', 'delete']
+    }],
+    roles: [String], // user roles the rule applies to; empty applies to every user
+    filter: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
     },
-    required: {
+    description: String
+  }],
+  // Keep prior document states in the <collection>_revisions shadow collection
+  versioning: {
+    enabled: {
       type: Boolean,
       default: false
     },
-    unique: {
+    maxRevisions: Number // oldest revisions beyond this are pruned
+  },
+  // Deletes set a deletedAt tombstone instead of removing documents
+  softDelete: {
+    enabled: {
       type: Boolean,
       default: false
-    },
-    index: {
+    }
+  },
+  // Mirror the fields into a $jsonSchema validator on the collection
+  nativeValidation: {
+    enabled: {
       type: Boolean,
       default: false
     },
-    default: mongoose.Schema.Types.Mixed,
-    enum: [String],
-    min: Number,
-    max: Number,
-    minLength: Number,
-    maxLength: Number,
-    pattern: String, // regex pattern
-    ref: String, // for ObjectId references
-    description: String
-  }],
-  indexes: [{
-    fields: mongoose.Schema.Types.Mixed, // {field1: 1, field2: -1}
-    options: {
-      unique: Boolean,
-      sparse: Boolean,
-      background: Boolean
+    validationLevel: {
+      type: String,
+      enum: ['strict', 'moderate'],
+      default: 'strict'
+    },
+    validationAction: {
+      type: String,
+      enum: ['error', 'warn'],
+      default: 'error'
     }
-  }],
-  validationRules: {
-    type: mongoose.Schema.Types.Mixed
+  },
+  // Incremented on every change; prior states are kept in schema_versions
+  version: {
+    type: Number,
+    default: 1
   },
   isActive: {
     type: Boolean,
@@ -79,85 +200,169 @@ const schemaDefinitionSchema = new mongoose.Schema({
 
 // Index for collection name (removed duplicate - already defined in schema)
 
-// Method to generate mongoose schema
-schemaDefinitionSchema.methods.generateMongooseSchema = function() {
-  const schemaFields = {};
-  
-  this.fields.forEach(field => {
-    let fieldType;
-    
-    switch (field.type) {
-      case 'String':
-        fieldType = String;
-        break;
-      case 'Number':
-        fieldType = Number;
-        break;
-      case 'Boolean':
-        fieldType = Boolean;
-        break;
-      case 'Date':
-        fieldType = Date;
-        break;
-      case 'ObjectId':
-        fieldType = mongoose.Schema.Types.ObjectId;
-        break;
-      case 'Array':
-        fieldType = [mongoose.Schema.Types.Mixed];
-        break;
-      case 'Object':
-        fieldType = mongoose.Schema.Types.Mixed;
-        break;
-      case 'Mixed':
-        fieldType = mongoose.Schema.Types.Mixed;
-        break;
-      default:
-        fieldType = mongoose.Schema.Types.Mixed;
-    }
-    
-    const fieldConfig = {
-      type: fieldType,
-      required: field.required,
-      unique: field.unique,
-      index: field.index
-    };
-    
-    if (field.default !== undefined) {
-      fieldConfig.default = field.default;
+// Mongoose type for a field or item definition. Object fields with `fields` become nested
+// schemas and Array fields with `items` typed arrays, so their contents are validated too.
+const buildFieldType = (definition, schemaOptions) => {
+  switch (definition.type) {
+    case 'String':
+      return String;
+    case 'Number':
+      return Number;
+    case 'Boolean':
+      return Boolean;
+    case 'Date':
+      return Date;
+    case 'ObjectId':
+      return mongoose.Schema.Types.ObjectId;
+    case 'Array':
+      return definition.items
+        ? [buildFieldConfig(definition.items, schemaOptions)]
+        : [mongoose.Schema.Types.Mixed];
+    case 'Object':
+      return definition.fields && definition.fields.length > 0
+        ? new mongoose.Schema(buildSchemaFields(definition.fields, schemaOptions), { ...schemaOptions, _id: false })
+        : mongoose.Schema.Types.Mixed;
+    case 'Mixed':
+      return mongoose.Schema.Types.Mixed;
+    case 'Decimal128':
+      return mongoose.Schema.Types.Decimal128;
+    case 'UUID':
+      return mongoose.Schema.Types.UUID;
+    case 'Binary':
+      return Buffer;
+    case 'Point':
+    case 'Polygon':
+      return buildGeoSchema(definition.type);
+    case 'Map':
+      return Map;
+    default:
+      return mongoose.Schema.Types.Mixed;
+  }
+};
+
+// GeoJSON geometry as a nested schema that checks its coordinates
+const buildGeoSchema = (geoType) => new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [geoType],
+    required: true
+  },
+  coordinates: {
+    type: geoType === 'Point' ? [Number] : [[[Number]]],
+    validate: {
+      validator: coordinates => isValidGeometry(geoType, coordinates),
+      message: `Invalid ${geoType} coordinates`
     }
-    
-    if (field.enum && field.enum.length > 0) {
-      fieldConfig.enum = field.enum;
+  }
+}, { _id: false });
+
+// Decimal128 has no min/max of its own; bounds are compared as exact decimals
+const buildDecimalValidators = (field) => {
+  const validators = [];
+  if (field.min !== undefined && field.min !== null) {
+    validators.push({
+      validator: value => value === null || value === undefined || compareDecimals(value, field.min) >= 0,
+      message: `Path \`{PATH}\` ({VALUE}) is less than minimum allowed value (${field.min}).`
+    });
+  }
+  if (field.max !== undefined && field.max !== null) {
+    validators.push({
+      validator: value => value === null || value === undefined || compareDecimals(value, field.max) <= 0,
+      message: `Path \`{PATH}\` ({VALUE}) is more than maximum allowed value (${field.max}).`
+    });
+  }
+  return validators;
+};
+
+// Mongoose path options for a field or item definition
+const buildFieldConfig = (field, schemaOptions) => {
+  const fieldConfig = {
+    type: buildFieldType(field, schemaOptions)
+  };
+
+  // Array items have no name and no required/unique/index flags of their own
+  if (field.name !== undefined) {
+    fieldConfig.required = field.required;
+    if (GEO_TYPES.includes(field.type)) {
+      // Geometries are indexed with 2dsphere (mongoose reads `unique` as the index type)
+      if (field.index) {
+        fieldConfig.index = '2dsphere';
+      }
+    } else {
+      fieldConfig.unique = field.unique;
+      fieldConfig.index = field.index;
     }
-    
+  }
+
+  if (field.default !== undefined) {
+    fieldConfig.default = field.default;
+  }
+
+  if (field.enum && field.enum.length > 0) {
+    fieldConfig.enum = field.enum;
+  }
+
+  if (field.type === 'Decimal128') {
+    fieldConfig.validate = buildDecimalValidators(field);
+  } else {
     if (field.min !== undefined) {
       fieldConfig.min = field.min;
     }
-    
+
     if (field.max !== undefined) {
       fieldConfig.max = field.max;
     }
-    
-    if (field.minLength !== undefined) {
-      fieldConfig.minlength = field.minLength;
-    }
-    
-    if (field.maxLength !== undefined) {
-      fieldConfig.maxlength = field.maxLength;
-    }
-    
-    if (field.pattern) {
-      fieldConfig.match = new RegExp(field.pattern);
-    }
-    
-    if (field.ref) {
-      fieldConfig.ref = field.ref;
-    }
-    
-    schemaFields[field.name] = fieldConfig;
+  }
+
+  if (field.minLength !== undefined) {
+    fieldConfig.minlength = field.minLength;
+  }
+
+  if (field.maxLength !== undefined) {
+    fieldConfig.maxlength = field.maxLength;
+  }
+
+  if (field.pattern) {
+    fieldConfig.match = new RegExp(field.pattern);
+  }
+
+  if (field.ref) {
+    fieldConfig.ref = field.ref;
+  }
+
+  if (field.type === 'Decimal128' && field.scale !== undefined && field.scale !== null) {
+    // Values that are not decimals are left for the Decimal128 cast to reject
+    fieldConfig.set = value => (value === null || value === undefined ? value : roundDecimal(value, field.scale) ?? value);
+  }
+
+  if (field.type === 'Binary') {
+    fieldConfig.set = value => (typeof value === 'string' ? toBinary(value) : value);
+  }
+
+  // Send decimals as strings, UUIDs in their usual form and binary data as base64
+  if (['Decimal128', 'UUID', 'Binary'].includes(field.type)) {
+    fieldConfig.transform = toJsonValue;
+  }
+
+  if (field.type === 'Map') {
+    fieldConfig.of = field.items ? buildFieldConfig(field.items, schemaOptions) : mongoose.Schema.Types.Mixed;
+  }
+
+  return fieldConfig;
+};
+
+const buildSchemaFields = (fields, schemaOptions) => {
+  const schemaFields = {};
+  fields.forEach(field => {
+    schemaFields[field.name] = buildFieldConfig(field, schemaOptions);
   });
-  
-  return new mongoose.Schema(schemaFields, {
+  return schemaFields;
+};
+
+// Method to generate mongoose schema; `options` (e.g. strict) also apply to nested objects
+schemaDefinitionSchema.methods.generateMongooseSchema = function(options = {}) {
+  return new mongoose.Schema(buildSchemaFields(this.fields, options), {
+    ...options,
     timestamps: true,
     collection: this.collectionName
   });
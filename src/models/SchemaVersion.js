@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One entry per saved state of a Schema definition
+const schemaVersionSchema = new mongoose.Schema({
+  schemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schema',
+    required: true
+  },
+  collectionName: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  definition: mongoose.Schema.Types.Mixed, // fields, indexes, rules... as saved
+  diff: mongoose.Schema.Types.Mixed, // [{ path, from, to }] against the previous version
+  actor: {
+    authType: String,
+    id: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'schema_versions',
+  versionKey: false
+});
+
+schemaVersionSchema.index({ schemaId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('SchemaVersion', schemaVersionSchema);
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const SCOPE_PATTERN = /^(admin|(read|write)(:.+)?)$/;
+
+// GET /api/v1/keys - List API keys
+router.get('/', [
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be boolean'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/keys/:id - Get API key by ID
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API key',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/keys - Create API key
+router.post('/', [
+  body('name').notEmpty().withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('scopes.*').matches(SCOPE_PATTERN).withMessage('Invalid scope'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const key = generateApiKey();
+
+    const apiKey = await ApiKey.issue(key, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await recordAudit(req, { action: 'apiKey.create', collectionName: 'api_keys', after: apiKey });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      apiKey: key,
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/keys/:id/rotate - Issue a replacement key; the old key keeps working for the overlap window
+router.post('/:id/rotate', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  body('overlapMinutes').optional().isInt({ min: 0 }).withMessage('overlapMinutes must be a non-negative integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot rotate a ${apiKey.status} API key`
+      });
+    }
+
+    const overlapMinutes = req.body.overlapMinutes !== undefined ? parseInt(req.body.overlapMinutes) : 60;
+    const key = generateApiKey();
+
+    const replacement = await ApiKey.issue(key, {
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      rotatedFrom: apiKey._id
+    });
+
+    // Shorten the old key's lifetime to the overlap window
+    const before = apiKey.toJSON();
+    const overlapEnd = new Date(Date.now() + overlapMinutes * 60 * 1000);
+    if (!apiKey.expiresAt || apiKey.expiresAt > overlapEnd) {
+      apiKey.expiresAt = overlapEnd;
+    }
+    apiKey.rotatedTo = replacement._id;
+    await apiKey.save();
+
+    await recordAudit(req, [
+      { action: 'apiKey.rotate', collectionName: 'api_keys', before, after: apiKey },
+      { action: 'apiKey.create', collectionName: 'api_keys', after: replacement }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated successfully. Store the new key now, it will not be shown again.',
+      apiKey: key,
+      data: {
+        previous: apiKey,
+        current: replacement
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating API key',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/keys/:id/expire - Set the expiry date (defaults to now)
+router.post('/:id/expire', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const before = apiKey.toJSON();
+    apiKey.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : new Date();
+    await apiKey.save();
+
+    await recordAudit(req, { action: 'apiKey.expire', collectionName: 'api_keys', before, after: apiKey });
+
+    res.json({
+      success: true,
+      message: 'API key expiry updated successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error expiring API key',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/keys/:id/revoke - Revoke API key immediately
+router.post('/:id/revoke', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      const before = apiKey.toJSON();
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordAudit(req, { action: 'apiKey.revoke', collectionName: 'api_keys', before, after: apiKey });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/v1/audit - Query audit entries
+router.get('/', [
+  query('collection').optional().isString().withMessage('Collection must be a string'),
+  query('documentId').optional().isString().withMessage('Document ID must be a string'),
+  query('actor').optional().isString().withMessage('Actor must be a string'),
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.collection) {
+      filter.collectionName = req.query.collection;
+    }
+    if (req.query.documentId) {
+      filter.documentId = req.query.documentId;
+    }
+    if (req.query.actor) {
+      // Match either the key/user id or its name
+      filter.$or = [{ 'actor.id': req.query.actor }, { 'actor.name': req.query.actor }];
+    }
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+    if (req.query.from || req.query.to) {
+      filter.timestamp = {};
+      if (req.query.from) {
+        filter.timestamp.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        filter.timestamp.$lte = new Date(req.query.to);
+      }
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit entries',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/audit/:id - Get audit entry by ID
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid audit entry ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).lean();
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
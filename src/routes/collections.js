@@ -2,6 +2,20 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const Schema = require('../models/Schema');
+const { getModel, invalidateModel } = require('../database/modelRegistry');
+const { requireScope, requireCollectionScope, rejectInternalCollection, hasScope } = require('../middleware/auth');
+const { isInternalCollection } = require('../utils/internalCollections');
+const { buildAccessFilter, applyAccessFilter, stampOwnership, sendAccessDenied } = require('../utils/accessRules');
+const { stripHiddenFields, getUnreadableFields, findProtectedFieldErrors, sendProtectedFieldErrors } = require('../utils/fieldPermissions');
+const { applyGeneratedValues } = require('../utils/generatedFields');
+const { resolvePopulate, populateDocuments, sendPopulateErrors } = require('../utils/populate');
+const { recordAudit } = require('../utils/audit');
+const { recordSchemaVersion } = require('../utils/schemaVersions');
+const { DEFAULT_SAMPLE_SIZE, DEFAULT_ENUM_MAX_VALUES, inferSchema, toDisplayName } = require('../utils/schemaInference');
+const { saveRevisions } = require('../utils/versioning');
+const { PAGINATION_PARAMS, parseSort, parsePagination, findPage } = require('../utils/pagination');
+const { parseFilters, sendFilterErrors } = require('../utils/filterParser');
+const { isSoftDeleteEnabled, wantsDeleted, excludeDeleted, buildTombstone } = require('../utils/softDelete');
 
 const router = express.Router();
 
@@ -18,42 +32,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Dynamic model cache
-const modelCache = new Map();
-
-// Get or create dynamic model based on schema
-const getModelFromSchema = async (collectionName) => {
-  if (modelCache.has(collectionName)) {
-    return modelCache.get(collectionName);
-  }
-
-  // Get schema definition
-  const schemaDef = await Schema.getByCollectionName(collectionName);
-  
-  if (schemaDef) {
-    // Use schema-defined model
-    const mongooseSchema = schemaDef.generateMongooseSchema();
-    const model = mongoose.model(collectionName, mongooseSchema);
-    modelCache.set(collectionName, model);
-    return model;
-  } else {
-    // Create dynamic model for collections without schema
-    const dynamicSchema = new mongoose.Schema({}, {
-      collection: collectionName,
-      strict: false,
-      timestamps: true
-    });
-    const model = mongoose.model(collectionName, dynamicSchema);
-    modelCache.set(collectionName, model);
-    return model;
-  }
-};
-
 // GET /api/v1/collections - List all collections with their schemas
-router.get('/', async (req, res) => {
+router.get('/', requireScope('read'), async (req, res) => {
   try {
-    // Get all collections from MongoDB
-    const collections = await mongoose.connection.db.listCollections().toArray();
+    // Get all collections from MongoDB; internal ones are listed for admins only
+    const isAdmin = hasScope(req.auth?.scopes, 'admin');
+    const collections = (await mongoose.connection.db.listCollections().toArray())
+      .filter(col => isAdmin || !isInternalCollection(col.name));
     
     // Get all schemas
     const schemas = await Schema.find({ isActive: true }).lean();
@@ -100,6 +85,7 @@ router.get('/', async (req, res) => {
 
 // GET /api/v1/collections/:collectionName - Get collection details
 router.get('/:collectionName', [
+  requireCollectionScope('read', 'collectionName'),
   param('collectionName').isString().withMessage('Collection name must be a string'),
   handleValidationErrors
 ], async (req, res) => {
@@ -115,19 +101,24 @@ router.get('/:collectionName', [
       });
     }
 
+    // Get schema if exists
+    const schema = await Schema.getByCollectionName(collectionName);
+    const accessFilter = buildAccessFilter(schema, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collectionName);
+    }
+
     // Get collection stats
     const collection = mongoose.connection.db.collection(collectionName);
     const stats = await collection.stats();
-    const count = await collection.countDocuments();
-
-    // Get schema if exists
-    const schema = await Schema.getByCollectionName(collectionName);
+    const count = await collection.countDocuments(accessFilter);
 
     // Get sample documents
-    const sampleDocs = await collection.find({}).limit(3).toArray();
+    const sampleDocs = await collection.find(accessFilter).limit(3).toArray();
 
     // Get field analysis
     const fieldAnalysis = await collection.aggregate([
+      { $match: accessFilter },
       { $project: { fields: { $objectToArray: '$$ROOT' } } },
       { $unwind: '$fields' },
       { $group: { 
@@ -149,7 +140,7 @@ router.get('/:collectionName', [
         indexes: stats.nindexes,
         hasSchema: !!schema,
         schema: schema,
-        sampleDocuments: sampleDocs,
+        sampleDocuments: stripHiddenFields(schema, req, sampleDocs),
         fieldAnalysis: fieldAnalysis
       }
     });
@@ -164,93 +155,68 @@ router.get('/:collectionName', [
 
 // GET /api/v1/collections/:collectionName/documents - Get documents from collection
 router.get('/:collectionName/documents', [
+  requireCollectionScope('read', 'collectionName'),
   param('collectionName').isString().withMessage('Collection name must be a string'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
   query('sort').optional().isString().withMessage('Sort must be a string'),
   query('fields').optional().isString().withMessage('Fields must be a string'),
+  query('filter').optional().isJSON().withMessage('Filter must be a JSON object'),
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be boolean'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('after').optional().isString().withMessage('After must be a string'),
+  query('paginate').optional().isIn(['page', 'cursor']).withMessage('Paginate must be page or cursor'),
+  query('count').optional().isIn(['exact', 'estimated', 'none']).withMessage('Count must be exact, estimated or none'),
+  query('populate').optional().isString().withMessage('Populate must be a string'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collectionName } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
 
-    // Build query from query parameters
-    const query = {};
-    const sort = {};
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+
+    const unreadableFields = getUnreadableFields(schemaDef, req);
     const fields = req.query.fields ? req.query.fields.split(',').reduce((acc, field) => {
       acc[field.trim()] = 1;
       return acc;
     }, {}) : {};
 
-    // Parse query parameters into MongoDB query
-    Object.keys(req.query).forEach(key => {
-      if (!['page', 'limit', 'sort', 'fields'].includes(key)) {
-        const value = req.query[key];
-        
-        // Handle different query types
-        if (value.startsWith('>')) {
-          query[key] = { $gt: parseFloat(value.substring(1)) };
-        } else if (value.startsWith('<')) {
-          query[key] = { $lt: parseFloat(value.substring(1)) };
-        } else if (value.startsWith('>=')) {
-          query[key] = { $gte: parseFloat(value.substring(2)) };
-        } else if (value.startsWith('<=')) {
-          query[key] = { $lte: parseFloat(value.substring(2)) };
-        } else if (value.startsWith('!=')) {
-          query[key] = { $ne: value.substring(2) };
-        } else if (value.startsWith('~')) {
-          query[key] = { $regex: value.substring(1), $options: 'i' };
-        } else if (value.includes(',')) {
-          query[key] = { $in: value.split(',') };
-        } else {
-          // Try to parse as number, boolean, or keep as string
-          if (value === 'true') {
-            query[key] = true;
-          } else if (value === 'false') {
-            query[key] = false;
-          } else if (!isNaN(value) && !isNaN(parseFloat(value))) {
-            query[key] = parseFloat(value);
-          } else {
-            query[key] = value;
-          }
-        }
-      }
+    // Build query from query parameters and the ?filter= JSON expression
+    const { query, errors: filterErrors } = parseFilters(req.query, schemaDef, {
+      reserved: [...PAGINATION_PARAMS, 'sort', 'fields', 'includeDeleted', 'populate'],
+      unreadableFields
     });
+    const { sort, errors: sortErrors } = parseSort(req.query.sort, { unreadableFields });
+    if (filterErrors.length > 0 || sortErrors.length > 0) {
+      return sendFilterErrors(res, [...filterErrors, ...sortErrors]);
+    }
 
-    // Parse sort parameter
-    if (req.query.sort) {
-      req.query.sort.split(',').forEach(sortField => {
-        if (sortField.startsWith('-')) {
-          sort[sortField.substring(1)] = -1;
-        } else {
-          sort[sortField] = 1;
-        }
+    const paginationOptions = parsePagination(req.query, sort);
+    if (paginationOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: paginationOptions.error
       });
-    } else {
-      sort.createdAt = -1; // Default sort
     }
 
-    const model = await getModelFromSchema(collectionName);
-    const documents = await model.find(query, fields)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collectionName);
+    }
+    const filter = excludeDeleted(schemaDef, applyAccessFilter(query, accessFilter), wantsDeleted(req));
+
+    const populate = await resolvePopulate(req, schemaDef, req.query.populate);
+    if (populate.errors.length > 0) {
+      return sendPopulateErrors(res, populate.errors);
+    }
 
-    const total = await model.countDocuments(query);
+    const model = getModel(collectionName, schemaDef);
+    const { documents, pagination } = await findPage(model, filter, fields, paginationOptions);
 
     res.json({
       success: true,
-      data: documents,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      data: stripHiddenFields(schemaDef, req, await populateDocuments(req, populate.tree, documents)),
+      pagination,
       query: query,
       sort: sort
     });
@@ -264,21 +230,34 @@ router.get('/:collectionName/documents', [
 });
 
 // POST /api/v1/collections/:collectionName/documents - Create new document
-router.post('/:collectionName/documents', async (req, res) => {
+router.post('/:collectionName/documents', requireCollectionScope('write', 'collectionName'), async (req, res) => {
   try {
     const { collectionName } = req.params;
-    const model = await getModelFromSchema(collectionName);
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+    if (!buildAccessFilter(schemaDef, req, 'create')) {
+      return sendAccessDenied(res, 'create', collectionName);
+    }
+
+    const fieldErrors = findProtectedFieldErrors(schemaDef, req, req.body);
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+
+    const model = getModel(collectionName, schemaDef);
     
-    const document = new model(req.body);
+    const [values] = await applyGeneratedValues(schemaDef, req, [stampOwnership(schemaDef, req, { ...req.body })]);
+    const document = new model(values);
     await document.save();
 
+    await recordAudit(req, { action: 'create', collectionName, after: document });
+
     res.status(201).json({
       success: true,
       message: 'Document created successfully',
-      data: document
+      data: stripHiddenFields(schemaDef, req, document)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error creating document',
       error: error.message
@@ -288,17 +267,38 @@ router.post('/:collectionName/documents', async (req, res) => {
 
 // PUT /api/v1/collections/:collectionName/documents/:id - Update document
 router.put('/:collectionName/documents/:id', [
+  requireCollectionScope('write', 'collectionName'),
   param('collectionName').isString().withMessage('Collection name must be a string'),
   param('id').isMongoId().withMessage('Invalid document ID'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collectionName, id } = req.params;
-    const model = await getModelFromSchema(collectionName);
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'update');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'update', collectionName);
+    }
+
+    const fieldErrors = findProtectedFieldErrors(schemaDef, req, req.body);
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+
+    const model = getModel(collectionName, schemaDef);
+    const filter = excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter));
+
+    const before = await model.findOne(filter).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
     
-    const document = await model.findByIdAndUpdate(
-      id,
-      req.body,
+    const document = await model.findOneAndUpdate(
+      filter,
+      stampOwnership(schemaDef, req, { ...req.body }, 'update'),
       { new: true, runValidators: true }
     );
     
@@ -309,13 +309,16 @@ router.put('/:collectionName/documents/:id', [
       });
     }
 
+    await recordAudit(req, { action: 'replace', collectionName, documentId: id, before, after: document });
+    await saveRevisions(req, schemaDef, collectionName, before, 'replace');
+
     res.json({
       success: true,
       message: 'Document updated successfully',
-      data: document
+      data: stripHiddenFields(schemaDef, req, document)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error updating document',
       error: error.message
@@ -325,15 +328,28 @@ router.put('/:collectionName/documents/:id', [
 
 // DELETE /api/v1/collections/:collectionName/documents/:id - Delete document
 router.delete('/:collectionName/documents/:id', [
+  requireCollectionScope('write', 'collectionName'),
   param('collectionName').isString().withMessage('Collection name must be a string'),
   param('id').isMongoId().withMessage('Invalid document ID'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collectionName, id } = req.params;
-    const model = await getModelFromSchema(collectionName);
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'delete');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'delete', collectionName);
+    }
+
+    const model = getModel(collectionName, schemaDef);
+    const filter = excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter));
+    const softDelete = isSoftDeleteEnabled(schemaDef);
     
-    const document = await model.findByIdAndDelete(id);
+    // Soft-delete collections keep the document with a deletedAt tombstone
+    // (strict: false because deletedAt is not declared on schema-defined models)
+    const document = softDelete
+      ? await model.findOneAndUpdate(filter, buildTombstone(req), { new: false, strict: false })
+      : await model.findOneAndDelete(filter);
     
     if (!document) {
       return res.status(404).json({
@@ -342,9 +358,18 @@ router.delete('/:collectionName/documents/:id', [
       });
     }
 
+    await recordAudit(req, {
+      action: softDelete ? 'soft-delete' : 'delete',
+      collectionName,
+      documentId: id,
+      before: document,
+      after: softDelete ? await model.findById(id).lean() : null
+    });
+    await saveRevisions(req, schemaDef, collectionName, document, 'delete');
+
     res.json({
       success: true,
-      message: 'Document deleted successfully'
+      message: softDelete ? 'Document moved to trash' : 'Document deleted successfully'
     });
   } catch (error) {
     res.status(500).json({
@@ -357,15 +382,23 @@ router.delete('/:collectionName/documents/:id', [
 
 // POST /api/v1/collections/:collectionName/analyze - Analyze collection structure
 router.post('/:collectionName/analyze', [
+  requireCollectionScope('read', 'collectionName'),
   param('collectionName').isString().withMessage('Collection name must be a string'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collectionName } = req.params;
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collectionName);
+    }
+
     const collection = mongoose.connection.db.collection(collectionName);
     
     // Get comprehensive analysis
     const analysis = await collection.aggregate([
+      { $match: accessFilter },
       {
         $project: {
           fields: { $objectToArray: '$$ROOT' }
@@ -393,12 +426,16 @@ router.post('/:collectionName/analyze', [
       { $sort: { count: -1 } }
     ]).toArray();
 
+    // Leave out fields the caller may not read, since the analysis includes sample values
+    const unreadableFields = getUnreadableFields(schemaDef, req);
+    const fieldAnalysis = analysis.filter(entry => !unreadableFields.includes(entry.field));
+
     res.json({
       success: true,
       data: {
         collectionName: collectionName,
-        fieldAnalysis: analysis,
-        totalFields: analysis.length
+        fieldAnalysis: fieldAnalysis,
+        totalFields: fieldAnalysis.length
       }
     });
   } catch (error) {
@@ -410,4 +447,101 @@ router.post('/:collectionName/analyze', [
   }
 });
 
+// POST /api/v1/collections/:collectionName/infer-schema - Draft a Schema from the collection's data
+router.post('/:collectionName/infer-schema', [
+  rejectInternalCollection('collectionName'),
+  // Saving the draft creates a Schema, which needs the admin scope
+  requireScope(req => req.body?.save === true ? 'admin' : `read:${req.params.collectionName}`),
+  param('collectionName').isString().withMessage('Collection name must be a string'),
+  body('sampleSize').optional().isInt({ min: 1, max: 10000 }).withMessage('sampleSize must be between 1 and 10000'),
+  body('enumMaxValues').optional().isInt({ min: 0, max: 100 }).withMessage('enumMaxValues must be between 0 and 100'),
+  body('save').optional().isBoolean().withMessage('save must be boolean'),
+  body('displayName').optional().isString().withMessage('displayName must be a string'),
+  body('description').optional().isString().withMessage('description must be a string'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { collectionName } = req.params;
+    const {
+      sampleSize = DEFAULT_SAMPLE_SIZE,
+      enumMaxValues = DEFAULT_ENUM_MAX_VALUES,
+      save = false,
+      displayName,
+      description
+    } = req.body;
+
+    const collections = await mongoose.connection.db.listCollections({ name: collectionName }).toArray();
+    if (collections.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const schemaDef = await Schema.getByCollectionName(collectionName);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collectionName);
+    }
+
+    const inferred = await inferSchema(mongoose.connection.db.collection(collectionName), {
+      filter: accessFilter,
+      sampleSize: Number(sampleSize),
+      enumMaxValues: Number(enumMaxValues),
+      // Enum suggestions would reveal values of fields the caller may not read
+      excludeFields: getUnreadableFields(schemaDef, req)
+    });
+
+    const draft = {
+      collectionName: collectionName.toLowerCase(),
+      displayName: displayName || toDisplayName(collectionName),
+      description: description || `Inferred from ${inferred.sample.documents} documents of ${collectionName}`,
+      fields: inferred.fields,
+      indexes: inferred.indexes
+    };
+
+    if (!save) {
+      return res.json({
+        success: true,
+        data: {
+          draft,
+          structure: inferred.structure,
+          notes: inferred.notes,
+          sample: inferred.sample,
+          hasSchema: !!schemaDef
+        }
+      });
+    }
+
+    if (await Schema.exists({ collectionName: draft.collectionName })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Schema with this collection name already exists'
+      });
+    }
+
+    const schema = await Schema.create(draft);
+    invalidateModel(schema.collectionName);
+    await recordSchemaVersion(req, schema);
+    await recordAudit(req, { action: 'schema.create', collectionName: schema.collectionName, after: schema });
+
+    res.status(201).json({
+      success: true,
+      message: 'Schema created from collection data',
+      data: {
+        schema,
+        structure: inferred.structure,
+        notes: inferred.notes,
+        sample: inferred.sample
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error inferring schema',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
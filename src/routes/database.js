@@ -1,6 +1,13 @@
+const fs = require('fs');
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const { applyQueryPolicy, sendPolicyViolations } = require('../utils/queryPolicy');
+const { RESTORE_MODES, restoreCollection } = require('../utils/restore');
+const { isValidBackupName, getBackupPath, listBackups, createBackup, isBackupRunning, deleteBackup, readBackupArchive } = require('../utils/backup');
+
+const { EJSON } = mongoose.mongo.BSON;
 
 const router = express.Router();
 
@@ -124,6 +131,8 @@ router.post('/collections', [
 
     // Create collection
     await mongoose.connection.db.createCollection(name, options);
+
+    await recordAudit(req, { action: 'collection.create', collectionName: name, after: { options } });
     
     res.status(201).json({
       success: true,
@@ -157,7 +166,10 @@ router.delete('/collections/:name', [
     }
 
     // Drop collection
+    const documentCount = await mongoose.connection.db.collection(name).estimatedDocumentCount();
     await mongoose.connection.db.collection(name).drop();
+
+    await recordAudit(req, { action: 'collection.drop', collectionName: name, before: { documentCount } });
     
     res.json({
       success: true,
@@ -185,6 +197,8 @@ router.post('/collections/:name/indexes', [
     
     const collection = mongoose.connection.db.collection(name);
     const result = await collection.createIndex(keys, options);
+
+    await recordAudit(req, { action: 'index.create', collectionName: name, after: { name: result, keys, options } });
     
     res.status(201).json({
       success: true,
@@ -211,6 +225,8 @@ router.delete('/collections/:name/indexes/:indexName', [
     
     const collection = mongoose.connection.db.collection(name);
     await collection.dropIndex(indexName);
+
+    await recordAudit(req, { action: 'index.drop', collectionName: name, before: { name: indexName } });
     
     res.json({
       success: true,
@@ -235,34 +251,46 @@ router.post('/query', [
 ], async (req, res) => {
   try {
     const { collection: collectionName, operation, query = {}, options = {} } = req.body;
-    
+
+    const policy = applyQueryPolicy({ collection: collectionName, operation, query, options });
+    if (policy.violations) {
+      return sendPolicyViolations(res, policy.violations);
+    }
+
     const collection = mongoose.connection.db.collection(collectionName);
     let result;
     
     switch (operation) {
       case 'find':
-        result = await collection.find(query, options).toArray();
+        result = await collection.find(query, policy.options).toArray();
         break;
       case 'findOne':
-        result = await collection.findOne(query, options);
+        result = await collection.findOne(query, policy.options);
         break;
       case 'count':
-        result = await collection.countDocuments(query, options);
+        result = await collection.countDocuments(query, policy.options);
         break;
       case 'distinct':
-        result = await collection.distinct(query.field, query.query || {}, options);
+        result = await collection.distinct(query.field, query.query || {}, policy.options);
         break;
       case 'aggregate':
-        result = await collection.aggregate(query.pipeline || [], options).toArray();
+        result = await collection.aggregate(policy.pipeline, policy.options).toArray();
         break;
     }
+
+    // Results beyond the cap are dropped and flagged
+    const truncated = Array.isArray(result) && result.length > policy.maxResults;
+    if (truncated) {
+      result = result.slice(0, policy.maxResults);
+    }
     
     res.json({
       success: true,
       data: result,
       operation: operation,
       query: query,
-      options: options
+      options: policy.options,
+      ...(truncated && { truncated, maxResults: policy.maxResults })
     });
   } catch (error) {
     res.status(500).json({
@@ -291,6 +319,7 @@ router.post('/backup', [
     const backup = {
       database: mongoose.connection.db.databaseName,
       timestamp: new Date().toISOString(),
+      format: 'ejson',
       collections: {}
     };
     
@@ -300,20 +329,79 @@ router.post('/backup', [
       // Get collection info
       const stats = await collection.stats().catch(() => null);
       const indexes = await collection.indexes().catch(() => []);
+      const info = allCollections.find(col => col.name === collectionName);
       
       backup.collections[collectionName] = {
         name: collectionName,
         documentCount: stats?.count || 0,
         size: stats?.size || 0,
+        options: info?.options || {},
         indexes: indexes,
-        data: includeData ? await collection.find({}).toArray() : []
+        // Unpromoted values keep Int32, Long and Double distinct in the output
+        data: includeData ? await collection.find({}, { promoteValues: false }).toArray() : []
       };
     }
     
-    res.json({
+    // Canonical Extended JSON keeps ObjectIds, Dates, Decimal128 and Binary values typed
+    res.type('json').send(EJSON.stringify({
       success: true,
       message: 'Backup created successfully',
       data: backup
+    }, { relaxed: false }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating backup',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/database/backups - List backup archives on disk
+router.get('/backups', async (req, res) => {
+  try {
+    const backups = await listBackups();
+
+    res.json({
+      success: true,
+      data: backups,
+      count: backups.length,
+      running: isBackupRunning()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error listing backups',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/database/backups - Write a compressed backup archive to the backup directory
+router.post('/backups', [
+  body('collections').optional().isArray().withMessage('Collections must be an array'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (isBackupRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A backup is already running'
+      });
+    }
+
+    const backup = await createBackup({ collections: req.body.collections || [], trigger: 'manual' });
+
+    await recordAudit(req, {
+      action: 'backup.create',
+      documentId: backup.name,
+      after: { name: backup.name, size: backup.size, collections: backup.collections, removed: backup.removed }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Backup written successfully',
+      data: backup
     });
   } catch (error) {
     res.status(500).json({
@@ -324,58 +412,137 @@ router.post('/backup', [
   }
 });
 
+// GET /api/v1/database/backups/:name - Download a backup archive
+router.get('/backups/:name', [
+  param('name').custom(isValidBackupName).withMessage('Invalid backup name'),
+  handleValidationErrors
+], async (req, res) => {
+  const filePath = getBackupPath(req.params.name);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Backup not found'
+    });
+  }
+
+  res.download(filePath, req.params.name, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading backup',
+        error: error.message
+      });
+    }
+  });
+});
+
+// DELETE /api/v1/database/backups/:name - Delete a backup archive
+router.delete('/backups/:name', [
+  param('name').custom(isValidBackupName).withMessage('Invalid backup name'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const filePath = getBackupPath(req.params.name);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup not found'
+      });
+    }
+
+    await deleteBackup(req.params.name);
+
+    await recordAudit(req, {
+      action: 'backup.delete',
+      documentId: req.params.name,
+      before: { name: req.params.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Backup '${req.params.name}' deleted successfully`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting backup',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/v1/database/restore - Restore database from backup
 router.post('/restore', [
-  body('backup').isObject().withMessage('Backup data is required'),
+  body('backup').optional().isObject().withMessage('Backup must be an object'),
+  body('archive').optional().custom(isValidBackupName).withMessage('Invalid backup archive name'),
+  body().custom(value => !!value.backup !== !!value.archive).withMessage('Provide either backup data or an archive name'),
   body('collections').optional().isArray().withMessage('Collections must be an array'),
+  body('mode').optional().isIn(RESTORE_MODES).withMessage('Mode must be replace, merge or insert-missing'),
+  body('dryRun').optional().isBoolean().withMessage('Dry run must be boolean'),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { backup, collections = [] } = req.body;
-    
-    const targetCollections = collections.length > 0 
-      ? collections 
-      : Object.keys(backup.collections);
-    
+    const { archive, collections = [], mode = 'merge', dryRun = false } = req.body;
+    const db = mongoose.connection.db;
     const results = [];
-    
-    for (const collectionName of targetCollections) {
-      if (!backup.collections[collectionName]) {
-        continue;
+
+    if (archive) {
+      if (!fs.existsSync(getBackupPath(archive))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Backup not found'
+        });
       }
-      
-      const collection = mongoose.connection.db.collection(collectionName);
-      const collectionData = backup.collections[collectionName];
-      
-      // Clear existing data
-      await collection.deleteMany({});
-      
-      // Restore indexes
-      for (const index of collectionData.indexes) {
-        if (index.name !== '_id_') { // Skip default _id index
-          try {
-            await collection.createIndex(index.key, index.options || {});
-          } catch (err) {
-            // Index might already exist
-          }
+
+      // Archives are streamed collection by collection
+      for await (const entry of readBackupArchive(archive)) {
+        if (collections.length > 0 && !collections.includes(entry.name)) {
+          continue;
         }
+        results.push(await restoreCollection(db, entry.name, entry, { mode, dryRun }));
       }
+    } else {
+      // Extended JSON values ({ "$oid": ... }, { "$date": ... }) become BSON types again;
+      // backups taken before the ejson format keep their plain values
+      const backup = EJSON.deserialize(req.body.backup, { relaxed: false });
+
+      const targetCollections = collections.length > 0 
+        ? collections 
+        : Object.keys(backup.collections);
       
-      // Restore data
-      if (collectionData.data && collectionData.data.length > 0) {
-        await collection.insertMany(collectionData.data);
+      for (const collectionName of targetCollections) {
+        if (!backup.collections[collectionName]) {
+          continue;
+        }
+        
+        const collectionData = backup.collections[collectionName];
+
+        results.push(await restoreCollection(db, collectionName, {
+          documents: collectionData.data || [],
+          indexes: collectionData.indexes || [],
+          options: collectionData.options
+        }, { mode, dryRun }));
       }
-      
-      results.push({
-        collection: collectionName,
-        documentsRestored: collectionData.data?.length || 0,
-        indexesRestored: collectionData.indexes?.length || 0
-      });
     }
+
+    if (!dryRun) {
+      await recordAudit(req, results.map(({ collection, errors, ...summary }) => ({
+        action: 'database.restore',
+        collectionName: collection,
+        after: summary
+      })));
+    }
+
+    const indexFailures = results.reduce((sum, result) => sum + result.indexes.failed.length, 0);
+    const documentFailures = results.reduce((sum, result) => sum + result.failed, 0);
     
     res.json({
-      success: true,
-      message: 'Database restored successfully',
+      success: indexFailures === 0 && documentFailures === 0,
+      message: dryRun
+        ? `Dry run: no changes made (mode: ${mode})`
+        : indexFailures > 0 || documentFailures > 0
+          ? `Database restored with ${documentFailures} document and ${indexFailures} index failures`
+          : 'Database restored successfully',
       data: results
     });
   } catch (error) {
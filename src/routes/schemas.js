@@ -2,6 +2,17 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const Schema = require('../models/Schema');
+const { getModel, invalidateModel, withValidationModel } = require('../database/modelRegistry');
+const { OPERATIONS } = require('../utils/accessRules');
+const { FIELD_TYPES } = require('../utils/fieldTypes');
+const { GENERATED_STRATEGIES } = require('../utils/generatedFields');
+const SchemaVersion = require('../models/SchemaVersion');
+const Migration = require('../models/Migration');
+const { recordAudit, getActor } = require('../utils/audit');
+const { snapshotDefinition, diffDefinitions, recordSchemaVersion } = require('../utils/schemaVersions');
+const { isEnabled: isNativeValidationEnabled, buildJsonSchema, syncValidator, getCollectionValidator } = require('../utils/jsonSchemaValidator');
+const { SOURCE_FORMATS, CONFLICT_MODES, importSchemas } = require('../utils/schemaImport');
+const { validateOperations, previewMigration, runMigration, rollbackMigration, pauseMigration, isRunning } = require('../utils/migrations');
 
 const router = express.Router();
 
@@ -101,7 +112,15 @@ router.post('/', [
   body('displayName').notEmpty().withMessage('Display name is required'),
   body('fields').isArray().withMessage('Fields must be an array'),
   body('fields.*.name').notEmpty().withMessage('Field name is required'),
-  body('fields.*.type').isIn(['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Array', 'Object', 'Mixed']).withMessage('Invalid field type'),
+  body('fields.*.type').isIn(FIELD_TYPES).withMessage('Invalid field type'),
+  body('fields.*.generated.strategy').optional().isIn(GENERATED_STRATEGIES).withMessage('Invalid generated strategy'),
+  body('accessRules').optional().isArray().withMessage('Access rules must be an array'),
+  body('accessRules.*.operations').optional().isArray().withMessage('Rule operations must be an array'),
+  body('accessRules.*.operations.*').optional().isIn(OPERATIONS).withMessage('Invalid rule operation'),
+  body('accessRules.*.filter').optional().isObject().withMessage('Rule filter must be an object'),
+  body('nativeValidation.enabled').optional().isBoolean().withMessage('nativeValidation.enabled must be boolean'),
+  body('nativeValidation.validationLevel').optional().isIn(['strict', 'moderate']).withMessage('validationLevel must be strict or moderate'),
+  body('nativeValidation.validationAction').optional().isIn(['error', 'warn']).withMessage('validationAction must be error or warn'),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -123,18 +142,23 @@ router.post('/', [
     });
 
     await schema.save();
+    await recordSchemaVersion(req, schema);
+    const validatorSync = await syncValidator(schema);
 
-    // Create the actual MongoDB collection with the schema
-    const mongooseSchema = schema.generateMongooseSchema();
-    const model = mongoose.model(schema.collectionName, mongooseSchema);
+    await recordAudit(req, { action: 'schema.create', collectionName: schema.collectionName, after: schema });
+
+    // Build the collection's model now, which creates the collection and its indexes
+    getModel(schema.collectionName, schema);
 
     res.status(201).json({
       success: true,
       message: 'Schema created successfully',
-      data: schema
+      data: schema,
+      ...(validatorSync && { validatorSync })
     });
   } catch (error) {
-    res.status(500).json({
+    // Field definitions the Schema model rejects, such as a generated strategy on the wrong type
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error creating schema',
       error: error.message
@@ -148,6 +172,16 @@ router.put('/:id', [
   body('displayName').optional().notEmpty().withMessage('Display name cannot be empty'),
   body('description').optional().isString().withMessage('Description must be a string'),
   body('fields').optional().isArray().withMessage('Fields must be an array'),
+  body('fields.*.name').notEmpty().withMessage('Field name is required'),
+  body('fields.*.type').isIn(FIELD_TYPES).withMessage('Invalid field type'),
+  body('fields.*.generated.strategy').optional().isIn(GENERATED_STRATEGIES).withMessage('Invalid generated strategy'),
+  body('accessRules').optional().isArray().withMessage('Access rules must be an array'),
+  body('accessRules.*.operations').optional().isArray().withMessage('Rule operations must be an array'),
+  body('accessRules.*.operations.*').optional().isIn(OPERATIONS).withMessage('Invalid rule operation'),
+  body('accessRules.*.filter').optional().isObject().withMessage('Rule filter must be an object'),
+  body('nativeValidation.enabled').optional().isBoolean().withMessage('nativeValidation.enabled must be boolean'),
+  body('nativeValidation.validationLevel').optional().isIn(['strict', 'moderate']).withMessage('validationLevel must be strict or moderate'),
+  body('nativeValidation.validationAction').optional().isIn(['error', 'warn']).withMessage('validationAction must be error or warn'),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -160,23 +194,42 @@ router.put('/:id', [
       });
     }
 
+    const before = schema.toObject();
+    const previousDefinition = snapshotDefinition(schema);
+    const previousVersion = schema.version || 1;
+
     // Update fields
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined && key !== 'collectionName') {
+      if (req.body[key] !== undefined && !['collectionName', 'version'].includes(key)) {
         schema[key] = req.body[key];
       }
     });
 
+    // A changed definition becomes a new version
+    const definitionChanged = diffDefinitions(previousDefinition, snapshotDefinition(schema)).length > 0;
+    if (definitionChanged) {
+      schema.version = previousVersion + 1;
+    }
+
     schema.updatedAt = new Date();
     await schema.save();
+    invalidateModel(schema.collectionName);
+
+    if (definitionChanged) {
+      await recordSchemaVersion(req, schema, previousDefinition, previousVersion);
+    }
+    const validatorSync = await syncValidator(schema, { wasEnabled: !!before.nativeValidation?.enabled });
+
+    await recordAudit(req, { action: 'schema.update', collectionName: schema.collectionName, before, after: schema });
 
     res.json({
       success: true,
       message: 'Schema updated successfully',
-      data: schema
+      data: schema,
+      ...(validatorSync && { validatorSync })
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error updating schema',
       error: error.message
@@ -199,13 +252,20 @@ router.delete('/:id', [
       });
     }
 
+    const before = schema.toObject();
+
     // Soft delete - mark as inactive
     schema.isActive = false;
     await schema.save();
+    invalidateModel(schema.collectionName);
+    const validatorSync = await syncValidator(schema, { wasEnabled: isNativeValidationEnabled(schema), deleted: true });
+
+    await recordAudit(req, { action: 'schema.delete', collectionName: schema.collectionName, before, after: schema });
 
     res.json({
       success: true,
-      message: 'Schema deleted successfully'
+      message: 'Schema deleted successfully',
+      ...(validatorSync && { validatorSync })
     });
   } catch (error) {
     res.status(500).json({
@@ -258,6 +318,439 @@ router.get('/:id/collections', [
   }
 });
 
+// GET /api/v1/schemas/:id/validator - Compare the generated $jsonSchema with the collection validator
+router.get('/:id/validator', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    const expected = buildJsonSchema(schema);
+    const current = await getCollectionValidator(schema.collectionName);
+
+    res.json({
+      success: true,
+      data: {
+        nativeValidation: schema.nativeValidation,
+        expected,
+        current,
+        inSync: isNativeValidationEnabled(schema)
+          ? JSON.stringify(current?.validator) === JSON.stringify(expected) &&
+            current.validationLevel === schema.nativeValidation.validationLevel &&
+            current.validationAction === schema.nativeValidation.validationAction
+          : !current?.validator || Object.keys(current.validator).length === 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching validator',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/schemas/:id/validator/sync - Apply (or remove) the collection validator now
+router.post('/:id/validator/sync', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    const current = await getCollectionValidator(schema.collectionName);
+    const hasValidator = !!current?.validator && Object.keys(current.validator).length > 0;
+    const result = await syncValidator(schema, { wasEnabled: hasValidator, deleted: !schema.isActive });
+
+    if (result?.error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error syncing validator',
+        error: result.error
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'schema.validator.sync',
+      collectionName: schema.collectionName,
+      before: current,
+      after: await getCollectionValidator(schema.collectionName)
+    });
+
+    res.json({
+      success: true,
+      message: 'Validator synced',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing validator',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/schemas/:id/versions - List the versions of a schema, newest first
+router.get('/:id/versions', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const versions = await SchemaVersion.find({ schemaId: req.params.id }, { definition: 0 })
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: versions,
+      count: versions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schema versions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/schemas/:id/versions/:version - Get a schema version with its diff
+router.get('/:id/versions/:version', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const version = await SchemaVersion.findOne({
+      schemaId: req.params.id,
+      version: parseInt(req.params.version)
+    }).lean();
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schema version',
+      error: error.message
+    });
+  }
+});
+
+// Send a 400 for invalid migration operations; returns true when one was sent
+const rejectInvalidOperations = (res, operations) => {
+  const errors = validateOperations(operations);
+  if (errors.length === 0) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Invalid migration operations',
+    errors
+  });
+  return true;
+};
+
+// POST /api/v1/schemas/:id/migrations/preview - Show what a migration would change
+router.post('/:id/migrations/preview', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  body('operations').isArray().withMessage('Operations must be an array'),
+  body('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    if (rejectInvalidOperations(res, req.body.operations)) {
+      return;
+    }
+
+    const preview = await previewMigration(schema.collectionName, req.body.operations, req.body.limit || 20);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing migration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/schemas/:id/migrations - Create a migration and start it
+router.post('/:id/migrations', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  body('operations').isArray().withMessage('Operations must be an array'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('batchSize').optional().isInt({ min: 1, max: 10000 }).withMessage('Batch size must be between 1 and 10000'),
+  body('start').optional().isBoolean().withMessage('Start must be boolean'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    if (rejectInvalidOperations(res, req.body.operations)) {
+      return;
+    }
+
+    const migration = await Migration.create({
+      schemaId: schema._id,
+      collectionName: schema.collectionName,
+      schemaVersion: schema.version,
+      description: req.body.description,
+      operations: req.body.operations,
+      batchSize: req.body.batchSize || 500,
+      createdBy: getActor(req)
+    });
+
+    await recordAudit(req, { action: 'migration.create', collectionName: schema.collectionName, after: migration });
+
+    if (req.body.start !== false) {
+      await runMigration(migration);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: req.body.start !== false ? 'Migration started' : 'Migration created',
+      data: migration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating migration',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/schemas/:id/migrations - List migrations of a schema
+router.get('/:id/migrations', [
+  param('id').isMongoId().withMessage('Invalid schema ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const migrations = await Migration.find({ schemaId: req.params.id }, { failures: 0 })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: migrations,
+      count: migrations.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching migrations',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/schemas/migrations/:migrationId - Get migration status and progress
+router.get('/migrations/:migrationId', [
+  param('migrationId').isMongoId().withMessage('Invalid migration ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const migration = await Migration.findById(req.params.migrationId).lean();
+
+    if (!migration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Migration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...migration, active: isRunning(migration) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching migration',
+      error: error.message
+    });
+  }
+});
+
+// Load a migration for a run, pause or rollback request; sends the error response and
+// returns null when the migration is missing or in the wrong state
+const loadMigration = async (req, res, allowedStatuses) => {
+  const migration = await Migration.findById(req.params.migrationId);
+
+  if (!migration) {
+    res.status(404).json({
+      success: false,
+      message: 'Migration not found'
+    });
+    return null;
+  }
+
+  if (!allowedStatuses.includes(migration.status)) {
+    res.status(409).json({
+      success: false,
+      message: `Migration is ${migration.status}`
+    });
+    return null;
+  }
+
+  return migration;
+};
+
+// POST /api/v1/schemas/migrations/:migrationId/run - Start or resume a migration
+router.post('/migrations/:migrationId/run', [
+  param('migrationId').isMongoId().withMessage('Invalid migration ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    // 'running' is allowed so a migration interrupted by a restart can be resumed
+    const migration = await loadMigration(req, res, ['pending', 'paused', 'failed', 'running']);
+    if (!migration) {
+      return;
+    }
+
+    // Claimed on the migration document, so two instances cannot run it at once
+    if (!(await runMigration(migration))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Migration is already running'
+      });
+    }
+
+    await recordAudit(req, { action: 'migration.run', collectionName: migration.collectionName, documentId: migration._id });
+
+    res.status(202).json({
+      success: true,
+      message: migration.progress.processed > 0 ? 'Migration resumed' : 'Migration started',
+      data: migration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error running migration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/schemas/migrations/:migrationId/pause - Stop a migration after its current batch
+router.post('/migrations/:migrationId/pause', [
+  param('migrationId').isMongoId().withMessage('Invalid migration ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const migration = await loadMigration(req, res, ['running']);
+    if (!migration) {
+      return;
+    }
+
+    const outcome = await pauseMigration(migration);
+    if (!outcome) {
+      return res.status(409).json({
+        success: false,
+        message: 'Migration is not running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: outcome === 'requested'
+        ? 'Migration will pause after the current batch'
+        : 'Migration was not running in any process and is now paused'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing migration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/schemas/migrations/:migrationId/rollback - Restore the values a migration changed
+router.post('/migrations/:migrationId/rollback', [
+  param('migrationId').isMongoId().withMessage('Invalid migration ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const migration = await loadMigration(req, res, ['completed', 'paused', 'failed', 'rolling-back']);
+    if (!migration) {
+      return;
+    }
+
+    if (isRunning(migration)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Migration is still running; pause it first'
+      });
+    }
+
+    if (!(await rollbackMigration(migration))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Migration is already rolling back'
+      });
+    }
+    await recordAudit(req, { action: 'migration.rollback', collectionName: migration.collectionName, documentId: migration._id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Rollback started',
+      data: migration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back migration',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/v1/schemas/:id/validate - Validate data against schema
 router.post('/:id/validate', [
   param('id').isMongoId().withMessage('Invalid schema ID'),
@@ -274,12 +767,8 @@ router.post('/:id/validate', [
       });
     }
 
-    const mongooseSchema = schema.generateMongooseSchema();
-    const model = mongoose.model(`temp_${schema.collectionName}`, mongooseSchema);
-    
-    // Create a temporary document to validate
-    const tempDoc = new model(req.body.data);
-    const validationError = tempDoc.validateSync();
+    // Validate with a temporary document against this schema, active or not
+    const validationError = await withValidationModel(schema, model => new model(req.body.data).validateSync());
 
     if (validationError) {
       const errors = Object.keys(validationError.errors).map(key => ({
@@ -309,6 +798,47 @@ router.post('/:id/validate', [
   }
 });
 
+// POST /api/v1/schemas/import - Import schemas from an export, a JSON Schema or an OpenAPI 3 document.
+// The body is one source or an array of sources.
+router.post('/import', [
+  query('format').optional().isIn(SOURCE_FORMATS).withMessage(`Format must be one of: ${SOURCE_FORMATS.join(', ')}`),
+  query('conflict').optional().isIn(CONFLICT_MODES).withMessage(`Conflict must be one of: ${CONFLICT_MODES.join(', ')}`),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be boolean'),
+  query('collectionName').optional().isString().withMessage('Collection name must be a string'),
+  query('components').optional().isString().withMessage('Components must be a comma-separated list'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const sources = Array.isArray(req.body) ? req.body : [req.body];
+    if (sources.length === 0 || sources.some(source => !source || typeof source !== 'object' || Object.keys(source).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must be a schema source or an array of sources'
+      });
+    }
+
+    const report = await importSchemas(req, sources, {
+      format: req.query.format,
+      collectionName: req.query.collectionName,
+      components: req.query.components ? req.query.components.split(',').map(name => name.trim()).filter(Boolean) : [],
+      conflict: req.query.conflict || 'skip',
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: report.dryRun ? 'Import checked (dry run)' : 'Import finished',
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error importing schemas',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/v1/schemas/export/:id - Export schema as JSON
 router.get('/export/:id', [
   param('id').isMongoId().withMessage('Invalid schema ID'),
@@ -331,6 +861,11 @@ router.get('/export/:id', [
       fields: schema.fields,
       indexes: schema.indexes,
       validationRules: schema.validationRules,
+      accessRules: schema.accessRules,
+      versioning: schema.versioning,
+      softDelete: schema.softDelete,
+      nativeValidation: schema.nativeValidation,
+      version: schema.version,
       createdAt: schema.createdAt,
       updatedAt: schema.updatedAt
     };
@@ -2,6 +2,20 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const Schema = require('../models/Schema');
+const { getModel } = require('../database/modelRegistry');
+const { requireScope, requireCollectionScope, hasScope } = require('../middleware/auth');
+const { isInternalCollection } = require('../utils/internalCollections');
+const { buildAccessFilter, applyAccessFilter, stampOwnership, sendAccessDenied } = require('../utils/accessRules');
+const { stripHiddenFields, getUnreadableFields, findProtectedFieldErrors, sendProtectedFieldErrors } = require('../utils/fieldPermissions');
+const { applyGeneratedValues } = require('../utils/generatedFields');
+const { resolvePopulate, populateDocuments, sendPopulateErrors } = require('../utils/populate');
+const { recordAudit } = require('../utils/audit');
+const { isVersioned, saveRevisions, listRevisions, getRevision, getRestoredFields, diffRevisions } = require('../utils/versioning');
+const { PAGINATION_PARAMS, parseSort, parsePagination, findPage } = require('../utils/pagination');
+const { parseFilters, sendFilterErrors } = require('../utils/filterParser');
+const { EXPORT_FORMATS, getCsvColumns, streamExport } = require('../utils/exporter');
+const { IMPORT_FORMATS, getBodyStream, runImport } = require('../utils/importer');
+const { isSoftDeleteEnabled, wantsDeleted, excludeDeleted, onlyDeleted, buildTombstone, buildUndelete, purgeDeleted } = require('../utils/softDelete');
 
 const router = express.Router();
 
@@ -18,32 +32,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Dynamic model cache
-const modelCache = new Map();
-
-// Get or create dynamic model
-const getDynamicModel = (collectionName) => {
-  if (modelCache.has(collectionName)) {
-    return modelCache.get(collectionName);
-  }
-
-  // Create a dynamic schema
-  const dynamicSchema = new mongoose.Schema({}, {
-    collection: collectionName,
-    strict: false, // Allow any fields
-    timestamps: true
-  });
-
-  const model = mongoose.model(collectionName, dynamicSchema);
-  modelCache.set(collectionName, model);
-  return model;
-};
-
 // GET /api/v1/collections - List all collections
-router.get('/collections', async (req, res) => {
+router.get('/collections', requireScope('read'), async (req, res) => {
   try {
     const collections = await mongoose.connection.db.listCollections().toArray();
-    const collectionNames = collections.map(col => col.name);
+    // Internal collections are listed for admins only
+    const isAdmin = hasScope(req.auth?.scopes, 'admin');
+    const collectionNames = collections.map(col => col.name).filter(name => isAdmin || !isInternalCollection(name));
     
     res.json({
       success: true,
@@ -59,101 +54,360 @@ router.get('/collections', async (req, res) => {
   }
 });
 
+// Read filters, sort and field projection shared by the list and export routes
+const parseListQuery = (req, schemaDef, reserved = []) => {
+  const unreadableFields = getUnreadableFields(schemaDef, req);
+  const fields = req.query.fields ? req.query.fields.split(',').reduce((acc, field) => {
+    acc[field.trim()] = 1;
+    return acc;
+  }, {}) : {};
+
+  // Build query from query parameters and the ?filter= JSON expression
+  const { query, errors } = parseFilters(req.query, schemaDef, {
+    reserved: [...PAGINATION_PARAMS, 'sort', 'fields', 'includeDeleted', 'populate', ...reserved],
+    unreadableFields
+  });
+
+  const { sort, errors: sortErrors } = parseSort(req.query.sort, { unreadableFields });
+
+  return { query, sort, fields, errors: [...errors, ...sortErrors] };
+};
+
 // GET /api/v1/:collection - Get all documents from a collection
 router.get('/:collection', [
+  requireCollectionScope('read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
   query('sort').optional().isString().withMessage('Sort must be a string'),
   query('fields').optional().isString().withMessage('Fields must be a string'),
+  query('filter').optional().isJSON().withMessage('Filter must be a JSON object'),
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be boolean'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('after').optional().isString().withMessage('After must be a string'),
+  query('paginate').optional().isIn(['page', 'cursor']).withMessage('Paginate must be page or cursor'),
+  query('count').optional().isIn(['exact', 'estimated', 'none']).withMessage('Count must be exact, estimated or none'),
+  query('populate').optional().isString().withMessage('Populate must be a string'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collection } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
 
-    // Build query from query parameters
-    const query = {};
-    const sort = {};
-    const fields = req.query.fields ? req.query.fields.split(',').reduce((acc, field) => {
-      acc[field.trim()] = 1;
-      return acc;
-    }, {}) : {};
-
-    // Parse query parameters into MongoDB query
-    Object.keys(req.query).forEach(key => {
-      if (!['page', 'limit', 'sort', 'fields'].includes(key)) {
-        const value = req.query[key];
-        
-        // Handle different query types
-        if (value.startsWith('>')) {
-          query[key] = { $gt: parseFloat(value.substring(1)) };
-        } else if (value.startsWith('<')) {
-          query[key] = { $lt: parseFloat(value.substring(1)) };
-        } else if (value.startsWith('>=')) {
-          query[key] = { $gte: parseFloat(value.substring(2)) };
-        } else if (value.startsWith('<=')) {
-          query[key] = { $lte: parseFloat(value.substring(2)) };
-        } else if (value.startsWith('!=')) {
-          query[key] = { $ne: value.substring(2) };
-        } else if (value.startsWith('~')) {
-          query[key] = { $regex: value.substring(1), $options: 'i' };
-        } else if (value.includes(',')) {
-          query[key] = { $in: value.split(',') };
-        } else {
-          // Try to parse as number, boolean, or keep as string
-          if (value === 'true') {
-            query[key] = true;
-          } else if (value === 'false') {
-            query[key] = false;
-          } else if (!isNaN(value) && !isNaN(parseFloat(value))) {
-            query[key] = parseFloat(value);
-          } else {
-            query[key] = value;
+    const schemaDef = await Schema.getByCollectionName(collection);
+
+    const { query, sort, fields, errors: filterErrors } = parseListQuery(req, schemaDef);
+    if (filterErrors.length > 0) {
+      return sendFilterErrors(res, filterErrors);
+    }
+
+    const paginationOptions = parsePagination(req.query, sort);
+    if (paginationOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: paginationOptions.error
+      });
+    }
+
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collection);
+    }
+    const filter = excludeDeleted(schemaDef, applyAccessFilter(query, accessFilter), wantsDeleted(req));
+
+    const populate = await resolvePopulate(req, schemaDef, req.query.populate);
+    if (populate.errors.length > 0) {
+      return sendPopulateErrors(res, populate.errors);
+    }
+
+    const model = getModel(collection, schemaDef);
+    const { documents, pagination } = await findPage(model, filter, fields, paginationOptions);
+
+    res.json({
+      success: true,
+      data: stripHiddenFields(schemaDef, req, await populateDocuments(req, populate.tree, documents)),
+      pagination,
+      query: query,
+      sort: sort
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error fetching documents from ${req.params.collection}`,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/:collection/export?format=ndjson|csv|ejson - Stream the collection as a file
+router.get('/:collection/export', [
+  requireCollectionScope('read'),
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be ndjson, csv or ejson'),
+  query('gzip').optional().isBoolean().withMessage('gzip must be boolean'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  query('sort').optional().isString().withMessage('Sort must be a string'),
+  query('fields').optional().isString().withMessage('Fields must be a string'),
+  query('filter').optional().isJSON().withMessage('Filter must be a JSON object'),
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be boolean'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const format = req.query.format || 'ndjson';
+
+    const schemaDef = await Schema.getByCollectionName(collection);
+
+    const { query, sort, fields, errors: filterErrors } = parseListQuery(req, schemaDef, ['format', 'gzip']);
+    if (filterErrors.length > 0) {
+      return sendFilterErrors(res, filterErrors);
+    }
+
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collection);
+    }
+    const filter = excludeDeleted(schemaDef, applyAccessFilter(query, accessFilter), wantsDeleted(req));
+
+    const model = getModel(collection, schemaDef);
+    let find = model.find(filter, fields).sort(sort).lean();
+    if (req.query.limit) {
+      find = find.limit(parseInt(req.query.limit));
+    }
+
+    const unreadable = getUnreadableFields(schemaDef, req);
+    streamExport(res, find.cursor(), {
+      format,
+      gzip: req.query.gzip === 'true',
+      filename: collection,
+      columns: getCsvColumns(fields, schemaDef)?.filter(column => !unreadable.includes(column.split('.')[0])),
+      transform: doc => stripHiddenFields(schemaDef, req, doc)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error exporting ${req.params.collection}`,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/:collection/import?format=csv|ndjson - Import a streamed CSV or NDJSON upload
+router.post('/:collection/import', [
+  requireCollectionScope('write'),
+  query('format').optional().isIn(IMPORT_FORMATS).withMessage('Format must be csv or ndjson'),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be boolean'),
+  query('batchSize').optional().isInt({ min: 1, max: 5000 }).withMessage('Batch size must be between 1 and 5000'),
+  query('delimiter').optional().isLength({ min: 1, max: 1 }).withMessage('Delimiter must be a single character'),
+  query('map').optional().isJSON().withMessage('Map must be a JSON object'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+    const dryRun = req.query.dryRun === 'true';
+
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'create');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'create', collection);
+    }
+
+    const model = getModel(collection, schemaDef);
+
+    const report = await runImport(getBodyStream(req), {
+      format,
+      schemaDef,
+      model,
+      dryRun,
+      batchSize: parseInt(req.query.batchSize) || 500,
+      delimiter: req.query.delimiter,
+      map: req.query.map ? JSON.parse(req.query.map) : {},
+      prepare: (document) => ({
+        document: stampOwnership(schemaDef, req, document),
+        errors: findProtectedFieldErrors(schemaDef, req, document)
+      }),
+      insert: async (documents) => {
+        let inserted;
+        let failures = [];
+        try {
+          inserted = await model.insertMany(await applyGeneratedValues(schemaDef, req, documents), { ordered: false });
+        } catch (error) {
+          // Unordered inserts keep going past duplicates and report each failed document
+          if (!error.writeErrors) {
+            throw error;
           }
+          inserted = error.insertedDocs || [];
+          failures = error.writeErrors.map(writeError => ({
+            index: writeError.index,
+            message: writeError.errmsg || writeError.err?.errmsg || 'Insert failed'
+          }));
         }
+        await recordAudit(req, inserted.map(document => ({
+          action: 'import',
+          collectionName: collection,
+          after: document
+        })));
+        return { inserted: inserted.length, failures };
       }
     });
 
-    // Parse sort parameter
-    if (req.query.sort) {
-      req.query.sort.split(',').forEach(sortField => {
-        if (sortField.startsWith('-')) {
-          sort[sortField.substring(1)] = -1;
-        } else {
-          sort[sortField] = 1;
-        }
-      });
-    } else {
-      sort.createdAt = -1; // Default sort
+    res.status(dryRun || report.inserted === 0 ? 200 : 201).json({
+      success: report.failed === 0,
+      message: dryRun
+        ? `Dry run: ${report.inserted} rows valid, ${report.failed} rows failed`
+        : `Imported ${report.inserted} rows, ${report.failed} rows failed`,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error importing into ${req.params.collection}`,
+      error: error.message
+    });
+  }
+});
+
+// Load the schema for a soft-delete collection and the caller's access filter.
+// Sends the error response and returns null when the request cannot proceed.
+const loadTrashContext = async (req, res, operation) => {
+  const { collection } = req.params;
+  const schemaDef = await Schema.getByCollectionName(collection);
+
+  if (!isSoftDeleteEnabled(schemaDef)) {
+    res.status(400).json({
+      success: false,
+      message: `Soft delete is not enabled for ${collection}`
+    });
+    return null;
+  }
+
+  const accessFilter = buildAccessFilter(schemaDef, req, operation);
+  if (!accessFilter) {
+    sendAccessDenied(res, operation, collection);
+    return null;
+  }
+
+  return { schemaDef, accessFilter, model: getModel(collection, schemaDef) };
+};
+
+// GET /api/v1/:collection/trash - List soft-deleted documents
+router.get('/:collection/trash', [
+  requireCollectionScope('read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadTrashContext(req, res, 'read');
+    if (!context) {
+      return;
     }
 
-    const model = getDynamicModel(collection);
-    const documents = await model.find(query, fields)
-      .sort(sort)
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = onlyDeleted(context.accessFilter);
+
+    const documents = await context.model.find(filter)
+      .sort({ deletedAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await model.countDocuments(query);
+    const total = await context.model.countDocuments(filter);
 
     res.json({
       success: true,
-      data: documents,
+      data: stripHiddenFields(context.schemaDef, req, documents),
       pagination: {
         page,
         limit,
         total,
         pages: Math.ceil(total / limit)
-      },
-      query: query,
-      sort: sort
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: `Error fetching documents from ${req.params.collection}`,
+      message: 'Error fetching trash',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/v1/:collection/trash?olderThanDays=30 - Permanently remove old soft-deleted documents
+router.delete('/:collection/trash', [
+  requireCollectionScope('write'),
+  query('olderThanDays').isInt({ min: 0 }).withMessage('olderThanDays must be a non-negative integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadTrashContext(req, res, 'delete');
+    if (!context) {
+      return;
+    }
+
+    const { collection } = req.params;
+    const cutoff = new Date(Date.now() - parseInt(req.query.olderThanDays) * 24 * 60 * 60 * 1000);
+    const filter = applyAccessFilter({ deletedAt: { $lte: cutoff } }, context.accessFilter);
+
+    const deletedCount = await purgeDeleted(context.model, filter, (purged) => recordAudit(req, purged.map(before => ({
+      action: 'purge',
+      collectionName: collection,
+      before
+    }))));
+
+    res.json({
+      success: true,
+      message: `Purged ${deletedCount} documents deleted before ${cutoff.toISOString()}`,
+      data: {
+        deletedCount,
+        cutoff
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error purging trash',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/:collection/:id/restore - Take a soft-deleted document out of the trash
+router.post('/:collection/:id/restore', [
+  requireCollectionScope('write'),
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadTrashContext(req, res, 'update');
+    if (!context) {
+      return;
+    }
+
+    const { collection, id } = req.params;
+    const filter = onlyDeleted(applyAccessFilter({ _id: id }, context.accessFilter));
+
+    const before = await context.model.findOne(filter).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found in trash'
+      });
+    }
+
+    const document = await context.model.findOneAndUpdate(filter, buildUndelete(), { new: true, strict: false });
+
+    await recordAudit(req, { action: 'undelete', collectionName: collection, documentId: id, before, after: document });
+
+    res.json({
+      success: true,
+      message: 'Document restored from trash',
+      data: stripHiddenFields(context.schemaDef, req, document)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring document',
       error: error.message
     });
   }
@@ -161,13 +415,29 @@ router.get('/:collection', [
 
 // GET /api/v1/:collection/:id - Get document by ID
 router.get('/:collection/:id', [
+  requireCollectionScope('read'),
   param('id').isMongoId().withMessage('Invalid document ID'),
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be boolean'),
+  query('populate').optional().isString().withMessage('Populate must be a string'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collection, id } = req.params;
-    const model = getDynamicModel(collection);
-    const document = await model.findById(id);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collection);
+    }
+
+    const populate = await resolvePopulate(req, schemaDef, req.query.populate);
+    if (populate.errors.length > 0) {
+      return sendPopulateErrors(res, populate.errors);
+    }
+
+    const model = getModel(collection, schemaDef);
+    const document = await model.findOne(
+      excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter), wantsDeleted(req))
+    );
     
     if (!document) {
       return res.status(404).json({
@@ -178,7 +448,7 @@ router.get('/:collection/:id', [
 
     res.json({
       success: true,
-      data: document
+      data: stripHiddenFields(schemaDef, req, await populateDocuments(req, populate.tree, document))
     });
   } catch (error) {
     res.status(500).json({
@@ -190,21 +460,35 @@ router.get('/:collection/:id', [
 });
 
 // POST /api/v1/:collection - Create new document
-router.post('/:collection', async (req, res) => {
+router.post('/:collection', requireCollectionScope('write'), async (req, res) => {
   try {
     const { collection } = req.params;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    if (!buildAccessFilter(schemaDef, req, 'create')) {
+      return sendAccessDenied(res, 'create', collection);
+    }
+
+    const fieldErrors = findProtectedFieldErrors(schemaDef, req, req.body);
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+
+    const model = getModel(collection, schemaDef);
     
-    const document = new model(req.body);
+    const [values] = await applyGeneratedValues(schemaDef, req, [stampOwnership(schemaDef, req, { ...req.body })]);
+    const document = new model(values);
     await document.save();
 
+    await recordAudit(req, { action: 'create', collectionName: collection, after: document });
+
     res.status(201).json({
       success: true,
       message: 'Document created successfully',
-      data: document
+      data: stripHiddenFields(schemaDef, req, document)
     });
   } catch (error) {
-    res.status(500).json({
+    // Documents that break the collection's schema are the caller's error
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error creating document',
       error: error.message
@@ -214,16 +498,37 @@ router.post('/:collection', async (req, res) => {
 
 // PUT /api/v1/:collection/:id - Update document
 router.put('/:collection/:id', [
+  requireCollectionScope('write'),
   param('id').isMongoId().withMessage('Invalid document ID'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collection, id } = req.params;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'update');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'update', collection);
+    }
+
+    const fieldErrors = findProtectedFieldErrors(schemaDef, req, req.body);
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+
+    const model = getModel(collection, schemaDef);
+    const filter = excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter));
+
+    const before = await model.findOne(filter).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
     
-    const document = await model.findByIdAndUpdate(
-      id,
-      req.body,
+    const document = await model.findOneAndUpdate(
+      filter,
+      stampOwnership(schemaDef, req, { ...req.body }, 'update'),
       { new: true, runValidators: true }
     );
     
@@ -234,13 +539,16 @@ router.put('/:collection/:id', [
       });
     }
 
+    await recordAudit(req, { action: 'replace', collectionName: collection, documentId: id, before, after: document });
+    await saveRevisions(req, schemaDef, collection, before, 'replace');
+
     res.json({
       success: true,
       message: 'Document updated successfully',
-      data: document
+      data: stripHiddenFields(schemaDef, req, document)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error updating document',
       error: error.message
@@ -250,16 +558,37 @@ router.put('/:collection/:id', [
 
 // PATCH /api/v1/:collection/:id - Partial update document
 router.patch('/:collection/:id', [
+  requireCollectionScope('write'),
   param('id').isMongoId().withMessage('Invalid document ID'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collection, id } = req.params;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'update');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'update', collection);
+    }
+
+    const fieldErrors = findProtectedFieldErrors(schemaDef, req, req.body);
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+
+    const model = getModel(collection, schemaDef);
+    const filter = excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter));
+
+    const before = await model.findOne(filter).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
     
-    const document = await model.findByIdAndUpdate(
-      id,
-      { $set: req.body },
+    const document = await model.findOneAndUpdate(
+      filter,
+      { $set: stampOwnership(schemaDef, req, { ...req.body }, 'update') },
       { new: true, runValidators: true }
     );
     
@@ -270,13 +599,16 @@ router.patch('/:collection/:id', [
       });
     }
 
+    await recordAudit(req, { action: 'update', collectionName: collection, documentId: id, before, after: document });
+    await saveRevisions(req, schemaDef, collection, before, 'update');
+
     res.json({
       success: true,
       message: 'Document updated successfully',
-      data: document
+      data: stripHiddenFields(schemaDef, req, document)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error updating document',
       error: error.message
@@ -286,14 +618,26 @@ router.patch('/:collection/:id', [
 
 // DELETE /api/v1/:collection/:id - Delete document
 router.delete('/:collection/:id', [
+  requireCollectionScope('write'),
   param('id').isMongoId().withMessage('Invalid document ID'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { collection, id } = req.params;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'delete');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'delete', collection);
+    }
+
+    const model = getModel(collection, schemaDef);
+    const filter = excludeDeleted(schemaDef, applyAccessFilter({ _id: id }, accessFilter));
+    const softDelete = isSoftDeleteEnabled(schemaDef);
     
-    const document = await model.findByIdAndDelete(id);
+    // Soft-delete collections keep the document with a deletedAt tombstone
+    const document = softDelete
+      ? await model.findOneAndUpdate(filter, buildTombstone(req), { new: false, strict: false })
+      : await model.findOneAndDelete(filter);
     
     if (!document) {
       return res.status(404).json({
@@ -302,9 +646,18 @@ router.delete('/:collection/:id', [
       });
     }
 
+    await recordAudit(req, {
+      action: softDelete ? 'soft-delete' : 'delete',
+      collectionName: collection,
+      documentId: id,
+      before: document,
+      after: softDelete ? await model.findById(id).lean() : null
+    });
+    await saveRevisions(req, schemaDef, collection, document, 'delete');
+
     res.json({
       success: true,
-      message: 'Document deleted successfully'
+      message: softDelete ? 'Document moved to trash' : 'Document deleted successfully'
     });
   } catch (error) {
     res.status(500).json({
@@ -315,8 +668,263 @@ router.delete('/:collection/:id', [
   }
 });
 
+// Load the schema for a versioned collection and check the caller may access the document.
+// Sends the error response and returns null when the request cannot proceed.
+const loadVersionedDocument = async (req, res, operation) => {
+  const { collection, id } = req.params;
+  const schemaDef = await Schema.getByCollectionName(collection);
+
+  if (!isVersioned(schemaDef)) {
+    res.status(400).json({
+      success: false,
+      message: `Versioning is not enabled for ${collection}`
+    });
+    return null;
+  }
+
+  const accessFilter = buildAccessFilter(schemaDef, req, operation);
+  if (!accessFilter) {
+    sendAccessDenied(res, operation, collection);
+    return null;
+  }
+
+  const documentId = new mongoose.Types.ObjectId(id);
+  const model = getModel(collection, schemaDef);
+  const current = await model.findOne(applyAccessFilter({ _id: documentId }, accessFilter)).lean();
+
+  // Users limited by access rules only see the history of documents they can currently access
+  if (!current && Object.keys(accessFilter).length > 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+    return null;
+  }
+
+  return { schemaDef, model, accessFilter, documentId, current };
+};
+
+// GET /api/v1/:collection/:id/revisions - List revisions of a document
+router.get('/:collection/:id/revisions', [
+  requireCollectionScope('read'),
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadVersionedDocument(req, res, 'read');
+    if (!context) {
+      return;
+    }
+
+    const revisions = await listRevisions(req.params.collection, context.documentId);
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/:collection/:id/revisions/diff?from=1&to=current - Diff two revisions
+router.get('/:collection/:id/revisions/diff', [
+  requireCollectionScope('read'),
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  query('from').matches(/^(\d+|current)$/).withMessage('from must be a revision number or "current"'),
+  query('to').optional().matches(/^(\d+|current)$/).withMessage('to must be a revision number or "current"'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadVersionedDocument(req, res, 'read');
+    if (!context) {
+      return;
+    }
+
+    const parseRevision = (value) => value === 'current' ? value : parseInt(value);
+    const from = parseRevision(req.query.from);
+    const to = parseRevision(req.query.to || 'current');
+
+    const diff = await diffRevisions(req.params.collection, context.documentId, from, to, context.current);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const unreadableFields = getUnreadableFields(context.schemaDef, req);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        changes: diff.filter(change => !unreadableFields.includes(change.path.split('.')[0]))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error diffing revisions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/v1/:collection/:id/revisions/:revision - Get a specific revision
+router.get('/:collection/:id/revisions/:revision', [
+  requireCollectionScope('read'),
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadVersionedDocument(req, res, 'read');
+    if (!context) {
+      return;
+    }
+
+    const revision = await getRevision(req.params.collection, context.documentId, parseInt(req.params.revision));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...revision,
+        snapshot: stripHiddenFields(context.schemaDef, req, revision.snapshot)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revision',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/v1/:collection/:id/revisions/:revision/restore - Restore a document to an older revision
+router.post('/:collection/:id/revisions/:revision/restore', [
+  requireCollectionScope('write'),
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadVersionedDocument(req, res, 'update');
+    if (!context) {
+      return;
+    }
+
+    const { collection } = req.params;
+    const revision = await getRevision(collection, context.documentId, parseInt(req.params.revision));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Only existing documents are restored; deleted ones come back through the trash first
+    if (!context.current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+    const softDelete = isSoftDeleteEnabled(context.schemaDef);
+    if (softDelete && context.current.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Document is in the trash; restore it from the trash before restoring a revision'
+      });
+    }
+
+    // The fields the restore changes go through the same checks as a PUT
+    const fieldErrors = findProtectedFieldErrors(
+      context.schemaDef,
+      req,
+      getRestoredFields(context.current, revision.snapshot)
+    );
+    if (fieldErrors.length > 0) {
+      return sendProtectedFieldErrors(res, fieldErrors);
+    }
+    const { deletedAt, deletedBy, ...snapshot } = revision.snapshot;
+    const restored = stampOwnership(context.schemaDef, req, softDelete ? snapshot : { ...revision.snapshot }, 'update');
+
+    // Replaced through the model, so the snapshot is validated against the current schema
+    const document = await context.model.findOneAndReplace(
+      excludeDeleted(context.schemaDef, applyAccessFilter({ _id: context.documentId }, context.accessFilter)),
+      restored,
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'restore-revision',
+      collectionName: collection,
+      documentId: req.params.id,
+      before: context.current,
+      after: document
+    });
+    // Keep the state that was replaced as its own revision
+    await saveRevisions(req, context.schemaDef, collection, context.current, 'restore');
+
+    res.json({
+      success: true,
+      message: `Document restored to revision ${revision.revision}`,
+      data: stripHiddenFields(context.schemaDef, req, document)
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error restoring revision',
+      error: error.message
+    });
+  }
+});
+
+// Per-item errors of bulk update bodies: [{ index, field, message }]
+const findUpdateValidationErrors = async (model, data) => {
+  const errors = [];
+  for (const [index, item] of data.entries()) {
+    try {
+      await model.validate({ ...item }, Object.keys(item));
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      Object.values(error.errors).forEach(fieldError => {
+        errors.push({ index, field: fieldError.path, message: fieldError.message });
+      });
+    }
+  }
+  return errors;
+};
+
 // POST /api/v1/:collection/bulk - Bulk operations
 router.post('/:collection/bulk', [
+  requireCollectionScope('write'),
   body('operation').isIn(['insert', 'update', 'delete']).withMessage('Operation must be insert, update, or delete'),
   body('data').isArray().withMessage('Data must be an array'),
   handleValidationErrors
@@ -324,38 +932,99 @@ router.post('/:collection/bulk', [
   try {
     const { collection } = req.params;
     const { operation, data } = req.body;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const ruleOperation = operation === 'insert' ? 'create' : operation;
+    const accessFilter = buildAccessFilter(schemaDef, req, ruleOperation);
+    if (!accessFilter) {
+      return sendAccessDenied(res, ruleOperation, collection);
+    }
+
+    if (operation !== 'delete') {
+      const fieldErrors = data.flatMap((item, index) => {
+        return findProtectedFieldErrors(schemaDef, req, item).map(error => ({ index, ...error }));
+      });
+      if (fieldErrors.length > 0) {
+        return sendProtectedFieldErrors(res, fieldErrors);
+      }
+    }
+
+    const model = getModel(collection, schemaDef);
+
+    // bulkWrite does not run update validators, so each update is validated on the paths it
+    // sets before anything is written
+    if (operation === 'update') {
+      const validationErrors = await findUpdateValidationErrors(model, data);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validationErrors
+        });
+      }
+    }
     
     let result;
     
+    const targetFilter = excludeDeleted(schemaDef, applyAccessFilter({
+      _id: { $in: data.map(item => item._id) }
+    }, accessFilter));
+    
     switch (operation) {
       case 'insert':
-        result = await model.insertMany(data);
+        result = await model.insertMany(
+          await applyGeneratedValues(schemaDef, req, data.map(item => stampOwnership(schemaDef, req, { ...item })))
+        );
+        await recordAudit(req, result.map(document => ({
+          action: 'bulk-insert',
+          collectionName: collection,
+          after: document
+        })));
         break;
-      case 'update':
+      case 'update': {
+        const befores = await model.find(targetFilter).lean();
         result = await model.bulkWrite(
           data.map(item => ({
             updateOne: {
-              filter: { _id: item._id },
-              update: { $set: item }
+              filter: excludeDeleted(schemaDef, applyAccessFilter({ _id: item._id }, accessFilter)),
+              update: { $set: stampOwnership(schemaDef, req, { ...item }, 'update') }
             }
           }))
         );
+        const afters = await model.find({ _id: { $in: befores.map(doc => doc._id) } }).lean();
+        await recordAudit(req, befores.map(before => ({
+          action: 'bulk-update',
+          collectionName: collection,
+          before,
+          after: afters.find(after => String(after._id) === String(before._id))
+        })));
+        await saveRevisions(req, schemaDef, collection, befores, 'update');
         break;
-      case 'delete':
-        result = await model.deleteMany({
-          _id: { $in: data.map(item => item._id) }
-        });
+      }
+      case 'delete': {
+        const befores = await model.find(targetFilter).lean();
+        const softDelete = isSoftDeleteEnabled(schemaDef);
+        result = softDelete
+          ? await model.updateMany(targetFilter, buildTombstone(req), { strict: false })
+          : await model.deleteMany(targetFilter);
+        await recordAudit(req, befores.map(before => ({
+          action: softDelete ? 'bulk-soft-delete' : 'bulk-delete',
+          collectionName: collection,
+          before
+        })));
+        await saveRevisions(req, schemaDef, collection, befores, 'delete');
         break;
+      }
     }
 
     res.json({
       success: true,
       message: `Bulk ${operation} completed successfully`,
-      data: result
+      data: operation === 'insert' ? stripHiddenFields(schemaDef, req, result) : result
     });
   } catch (error) {
-    res.status(500).json({
+    // Invalid documents and rejected writes (such as duplicate keys) are the client's to fix
+    const clientError = ['ValidationError', 'MongoBulkWriteError', 'MongooseBulkWriteError'].includes(error.name);
+    res.status(clientError ? 400 : 500).json({
       success: false,
       message: 'Error performing bulk operation',
       error: error.message
@@ -364,12 +1033,20 @@ router.post('/:collection/bulk', [
 });
 
 // GET /api/v1/:collection/stats - Get collection statistics
-router.get('/:collection/stats', async (req, res) => {
+router.get('/:collection/stats', requireCollectionScope('read'), async (req, res) => {
   try {
     const { collection } = req.params;
-    const model = getDynamicModel(collection);
+    const schemaDef = await Schema.getByCollectionName(collection);
+    const accessFilter = buildAccessFilter(schemaDef, req, 'read');
+    if (!accessFilter) {
+      return sendAccessDenied(res, 'read', collection);
+    }
+
+    const model = getModel(collection, schemaDef);
     
+    const match = excludeDeleted(schemaDef, accessFilter);
     const stats = await model.aggregate([
+      { $match: match },
       {
         $group: {
           _id: null,
@@ -380,6 +1057,7 @@ router.get('/:collection/stats', async (req, res) => {
     ]);
 
     const fieldStats = await model.aggregate([
+      { $match: match },
       { $project: { fields: { $objectToArray: '$$ROOT' } } },
       { $unwind: '$fields' },
       { $group: { _id: '$fields.k', count: { $sum: 1 } } },
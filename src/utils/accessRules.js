@@ -0,0 +1,117 @@
+const _ = require('lodash');
+
+// Row-level access rules declared on a Schema definition. Each rule grants end users
+// (optionally limited to some roles) one or more operations on the documents matching
+// its filter. Filter values such as '$user.id' or '$user.claims.tenant' are resolved
+// against req.user. Requests authenticated with an API key are governed by scopes only.
+
+const OPERATIONS = ['read', 'create', 'update', 'delete'];
+const USER_PREFIX = '$user.';
+
+const isPlaceholder = (value) => typeof value === 'string' && value.startsWith(USER_PREFIX);
+
+// Resolve placeholders in a rule filter; returns undefined if any of them is missing
+const resolveFilter = (value, user) => {
+  if (isPlaceholder(value)) {
+    return _.get(user, value.substring(USER_PREFIX.length));
+  }
+
+  if (Array.isArray(value)) {
+    const resolved = value.map(item => resolveFilter(item, user));
+    return resolved.includes(undefined) ? undefined : resolved;
+  }
+
+  if (_.isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveFilter(item, user);
+      if (resolved[key] === undefined) {
+        return undefined;
+      }
+    }
+    return resolved;
+  }
+
+  return value;
+};
+
+// Rules that grant the operation to the current user, with their filters resolved
+const getApplicableRules = (schemaDef, req, operation) => {
+  const roles = req.user.roles || [];
+
+  return schemaDef.accessRules
+    .filter(rule => !rule.operations?.length || rule.operations.includes(operation))
+    .filter(rule => !rule.roles?.length || rule.roles.some(role => roles.includes(role)))
+    .map(rule => ({ rule, filter: resolveFilter(rule.filter || {}, req.user) }))
+    .filter(({ filter }) => filter !== undefined);
+};
+
+const isRestricted = (schemaDef, req) => {
+  return !!(req.user && schemaDef?.accessRules?.length);
+};
+
+// Build the filter a user's request must be limited to.
+// Returns {} when unrestricted and null when no rule grants the operation.
+const buildAccessFilter = (schemaDef, req, operation) => {
+  if (!isRestricted(schemaDef, req)) {
+    return {};
+  }
+
+  const filters = getApplicableRules(schemaDef, req, operation).map(({ filter }) => filter);
+
+  if (filters.length === 0) {
+    return null;
+  }
+  if (filters.some(filter => Object.keys(filter).length === 0)) {
+    return {};
+  }
+  return filters.length === 1 ? filters[0] : { $or: filters };
+};
+
+// Combine a query with an access filter
+const applyAccessFilter = (query, accessFilter) => {
+  if (!accessFilter || Object.keys(accessFilter).length === 0) {
+    return query;
+  }
+  if (!query || Object.keys(query).length === 0) {
+    return accessFilter;
+  }
+  return { $and: [query, accessFilter] };
+};
+
+// Set ownership fields (those bound to '$user.*' placeholders) on a document being written,
+// overriding whatever the client sent
+const stampOwnership = (schemaDef, req, doc, operation = 'create') => {
+  if (!isRestricted(schemaDef, req)) {
+    return doc;
+  }
+
+  const [applicable] = getApplicableRules(schemaDef, req, operation);
+  if (!applicable) {
+    return doc;
+  }
+
+  Object.entries(applicable.rule.filter || {}).forEach(([field, value]) => {
+    if (isPlaceholder(value)) {
+      doc[field] = applicable.filter[field];
+    }
+  });
+
+  return doc;
+};
+
+// Send the response for an operation no rule grants
+const sendAccessDenied = (res, operation, collectionName) => {
+  return res.status(403).json({
+    success: false,
+    message: `Access denied: no access rule allows ${operation} on ${collectionName}`
+  });
+};
+
+module.exports = {
+  OPERATIONS,
+  buildAccessFilter,
+  applyAccessFilter,
+  stampOwnership,
+  sendAccessDenied
+};
@@ -0,0 +1,120 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const config = require('../config');
+const AuditLog = require('../models/AuditLog');
+
+// Convert a document to plain JSON values (ObjectIds and Dates become strings,
+// toJSON transforms such as hiding key hashes apply)
+const toPlainJson = (doc) => {
+  if (doc === null || doc === undefined) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(doc));
+};
+
+// Field-by-field differences between two documents as [{ path: 'dotted.path', from, to }].
+// Nested objects are compared per field; arrays and scalars are compared as a whole.
+const diffDocuments = (before, after) => {
+  const diff = [];
+
+  const walk = (left, right, prefix) => {
+    const keys = _.union(Object.keys(left || {}), Object.keys(right || {}));
+
+    keys.forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = left ? left[key] : undefined;
+      const to = right ? right[key] : undefined;
+
+      if (_.isPlainObject(from) && _.isPlainObject(to)) {
+        walk(from, to, path);
+      } else if (!_.isEqual(from, to)) {
+        diff.push({
+          path,
+          from: from === undefined ? null : from,
+          to: to === undefined ? null : to
+        });
+      }
+    });
+  };
+
+  walk(toPlainJson(before), toPlainJson(after), '');
+  return diff;
+};
+
+// Who made the request
+const getActor = (req) => ({
+  authType: req.auth?.type,
+  id: req.auth?.id,
+  name: req.auth?.name
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Insert the entries, ignoring the ones an earlier attempt already wrote (same _id)
+const insertEntries = async (docs) => {
+  try {
+    await AuditLog.insertMany(docs, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || !writeErrors.every(writeError => writeError.code === 11000)) {
+      throw error;
+    }
+  }
+};
+
+// Append one or more entries to the audit log.
+// Each entry: { action, collectionName, documentId, before, after }
+// A failed insert is retried AUDIT_WRITE_RETRIES times. The change itself is already applied
+// by then, so a final failure does not fail the request: it is kept on `req.auditErrors` for
+// the response to report (see middleware/auditStatus) and false is returned.
+const recordAudit = async (req, entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) {
+    return true;
+  }
+
+  const actor = getActor(req);
+  const timestamp = new Date();
+
+  const docs = list.map(entry => {
+    const before = toPlainJson(entry.before);
+    const after = toPlainJson(entry.after);
+
+    return {
+      // Fixed ids make retries idempotent
+      _id: new mongoose.Types.ObjectId(),
+      actor,
+      action: entry.action,
+      method: req.method,
+      route: req.originalUrl,
+      collectionName: entry.collectionName,
+      documentId: entry.documentId !== undefined && entry.documentId !== null
+        ? String(entry.documentId)
+        : (after?._id || before?._id),
+      before,
+      after,
+      diff: entry.diff || diffDocuments(before, after),
+      timestamp
+    };
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await insertEntries(docs);
+      return true;
+    } catch (error) {
+      if (attempt >= config.audit.writeRetries) {
+        console.error('Error writing audit log:', error.message);
+        req.auditErrors = [...(req.auditErrors || []), error.message];
+        return false;
+      }
+      await delay(config.audit.retryDelayMs * 2 ** attempt);
+    }
+  }
+};
+
+module.exports = {
+  diffDocuments,
+  getActor,
+  recordAudit
+};
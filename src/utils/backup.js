@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const moment = require('moment');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Backups on disk. Each backup is one gzip-compressed NDJSON archive in the backup
+// directory, written collection by collection from cursors:
+//   {"type":"header","database":...,"createdAt":...,"trigger":...}
+//   {"type":"collection","name":...,"options":{...},"indexes":[...]}
+//   {"type":"document","document":{...}}     (one per document, after its collection)
+// Lines are canonical Extended JSON so ObjectIds, Dates and numbers keep their types.
+
+const BACKUP_NAME_PATTERN = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.ndjson\.gz$/;
+
+let runningBackup = null;
+
+const getBackupDirectory = () => path.resolve(config.backup.directory);
+
+const isValidBackupName = (name) => BACKUP_NAME_PATTERN.test(name);
+
+const getBackupPath = (name) => path.join(getBackupDirectory(), name);
+
+// backup-2024-01-01T02-00-00-000Z.ndjson.gz -> Date
+const parseBackupDate = (name) => {
+  const [, stamp] = name.match(BACKUP_NAME_PATTERN);
+  return new Date(stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'));
+};
+
+const toLine = (value) => EJSON.stringify(value, { relaxed: false }) + '\n';
+
+const listBackups = async () => {
+  const directory = getBackupDirectory();
+  const names = await fs.promises.readdir(directory).catch(() => []);
+
+  const backups = await Promise.all(names.filter(isValidBackupName).map(async (name) => {
+    const stats = await fs.promises.stat(path.join(directory, name));
+    return { name, size: stats.size, createdAt: parseBackupDate(name) };
+  }));
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Backups kept by the retention rules: the newest `last`, plus the newest backup of
+// each of the most recent `daily` days, `weekly` ISO weeks and `monthly` months.
+// Returns null when no rule is configured (keep everything).
+const selectRetained = (backups, retention) => {
+  const rules = [
+    ['daily', date => moment.utc(date).format('YYYY-MM-DD')],
+    ['weekly', date => moment.utc(date).format('GGGG-WW')],
+    ['monthly', date => moment.utc(date).format('YYYY-MM')]
+  ];
+  if (!retention.last && rules.every(([rule]) => !retention[rule])) {
+    return null;
+  }
+
+  const keep = new Set(backups.slice(0, retention.last || 0).map(backup => backup.name));
+
+  rules.forEach(([rule, bucketOf]) => {
+    const buckets = new Set();
+    backups.forEach(backup => {
+      const bucket = bucketOf(backup.createdAt);
+      if (!buckets.has(bucket) && buckets.size < (retention[rule] || 0)) {
+        buckets.add(bucket);
+        keep.add(backup.name);
+      }
+    });
+  });
+
+  return keep;
+};
+
+// Delete the backups the retention rules do not keep; returns the deleted names
+const applyRetention = async () => {
+  const backups = await listBackups();
+  const keep = selectRetained(backups, config.backup.retention);
+  if (!keep) {
+    return [];
+  }
+
+  const expired = backups.filter(backup => !keep.has(backup.name));
+  for (const backup of expired) {
+    await fs.promises.unlink(getBackupPath(backup.name));
+  }
+  return expired.map(backup => backup.name);
+};
+
+// Lines of the archive, read collection by collection
+async function* backupLines(db, collectionNames, header, summary) {
+  yield toLine({ type: 'header', ...header });
+
+  for (const name of collectionNames) {
+    const collection = db.collection(name);
+    const [info] = await db.listCollections({ name }).toArray();
+    const indexes = await collection.indexes().catch(() => []);
+    yield toLine({ type: 'collection', name, options: info?.options || {}, indexes });
+
+    let documents = 0;
+    // Unpromoted values keep Int32, Long and Double distinct in the archive
+    for await (const document of collection.find({}, { promoteValues: false })) {
+      documents++;
+      yield toLine({ type: 'document', document });
+    }
+    summary.push({ name, documents, indexes: indexes.length });
+  }
+}
+
+// Write a backup archive; the file only appears under its final name once complete
+const createBackup = async ({ collections = [], trigger = 'manual' } = {}) => {
+  if (runningBackup) {
+    throw new Error('A backup is already running');
+  }
+
+  const run = async () => {
+    const db = mongoose.connection.db;
+    const createdAt = new Date();
+    const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`;
+    const directory = getBackupDirectory();
+    const finalPath = path.join(directory, name);
+    const tempPath = `${finalPath}.tmp`;
+
+    const allCollections = await db.listCollections({ type: 'collection' }).toArray();
+    const collectionNames = collections.length > 0
+      ? collections
+      : allCollections.map(col => col.name).filter(col => !col.startsWith('system.'));
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const summary = [];
+    const header = { database: db.databaseName, createdAt, trigger, collections: collectionNames };
+    try {
+      await pipeline(
+        backupLines(db, collectionNames, header, summary),
+        zlib.createGzip(),
+        fs.createWriteStream(tempPath)
+      );
+      await fs.promises.rename(tempPath, finalPath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(finalPath);
+    const removed = await applyRetention();
+
+    return { name, size, createdAt, trigger, collections: summary, removed };
+  };
+
+  runningBackup = run();
+  try {
+    return await runningBackup;
+  } finally {
+    runningBackup = null;
+  }
+};
+
+const isBackupRunning = () => !!runningBackup;
+
+// Read an archive as { header, name, options, indexes, documents } per collection, where
+// documents is an async iterable that must be read before moving to the next collection
+async function* readBackupArchive(name) {
+  const input = fs.createReadStream(getBackupPath(name)).pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity })[Symbol.asyncIterator]();
+  let pending = null;
+
+  const nextEntry = async () => {
+    if (pending) {
+      const entry = pending;
+      pending = null;
+      return entry;
+    }
+    const { value, done } = await lines.next();
+    return done ? null : EJSON.parse(value, { relaxed: false });
+  };
+
+  const header = await nextEntry();
+  if (header?.type !== 'header') {
+    throw new Error(`${name} is not a backup archive`);
+  }
+
+  let entry = await nextEntry();
+  while (entry) {
+    if (entry.type !== 'collection') {
+      throw new Error(`Unexpected ${entry.type} entry in ${name}`);
+    }
+
+    const documents = (async function* () {
+      for (let next = await nextEntry(); next; next = await nextEntry()) {
+        if (next.type !== 'document') {
+          pending = next;
+          return;
+        }
+        yield next.document;
+      }
+    })();
+
+    yield { header, name: entry.name, options: entry.options, indexes: entry.indexes, documents };
+
+    // Skip whatever the caller did not read
+    let rest = await documents.next();
+    while (!rest.done) {
+      rest = await documents.next();
+    }
+    entry = await nextEntry();
+  }
+}
+
+const deleteBackup = async (name) => {
+  await fs.promises.unlink(getBackupPath(name));
+};
+
+// Run backups on config.backup.schedule (a cron expression), if one is set
+const startBackupSchedule = () => {
+  const { schedule } = config.backup;
+  if (!schedule) {
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    console.error(`Invalid BACKUP_SCHEDULE '${schedule}', scheduled backups are disabled`);
+    return null;
+  }
+
+  console.log(`💾 Scheduled backups: ${schedule} -> ${getBackupDirectory()}`);
+  return cron.schedule(schedule, async () => {
+    if (mongoose.connection.readyState !== 1 || isBackupRunning()) {
+      console.error('Scheduled backup skipped: database not connected or a backup is already running');
+      return;
+    }
+    try {
+      const backup = await createBackup({ trigger: 'scheduled' });
+      console.log(`Backup ${backup.name} written (${backup.size} bytes)`);
+    } catch (error) {
+      console.error('Scheduled backup failed:', error.message);
+    }
+  });
+};
+
+module.exports = {
+  isValidBackupName,
+  getBackupPath,
+  listBackups,
+  createBackup,
+  isBackupRunning,
+  deleteBackup,
+  readBackupArchive,
+  selectRetained,
+  applyRetention,
+  startBackupSchedule
+};
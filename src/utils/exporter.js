@@ -0,0 +1,160 @@
+const _ = require('lodash');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const { Transform, pipeline } = require('stream');
+
+const { toJsonValue, jsonReplacer } = require('./fieldTypes');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Streamed collection export. Documents are read from a cursor and written to the
+// response one at a time, so memory use does not grow with the collection size.
+//   ndjson  one JSON document per line
+//   csv     nested fields flattened into dotted columns, arrays as JSON
+//   ejson   a canonical Extended JSON array that keeps BSON types
+
+const EXPORT_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ejson: { contentType: 'application/json', extension: 'json' }
+};
+
+// Documents read ahead to pick CSV columns when there is no projection or schema
+const CSV_SAMPLE_SIZE = 100;
+
+const isBsonValue = (value) => value instanceof Date || !!value?._bsontype;
+
+// Flatten a document into { 'a.b': value } pairs; arrays and BSON values are leaves
+const flattenDocument = (doc, prefix = '', out = {}) => {
+  Object.keys(doc).forEach(key => {
+    const value = doc[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (_.isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenDocument(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (isBsonValue(value)) {
+    text = String(toJsonValue(value));
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(formatCsvValue).join(',') + '\n';
+
+// Dotted paths of the schema fields, with nested object fields as their own columns
+const getFieldPaths = (fields, prefix = '') => fields.flatMap(field => {
+  const path = prefix ? `${prefix}.${field.name}` : field.name;
+  return field.type === 'Object' && field.fields?.length > 0 ? getFieldPaths(field.fields, path) : [path];
+});
+
+// Columns from the requested fields, else the schema fields
+const getCsvColumns = (fields, schemaDef) => {
+  if (fields && Object.keys(fields).length > 0) {
+    return Object.keys(fields);
+  }
+  if (schemaDef?.fields?.length) {
+    return ['_id', ...getFieldPaths(schemaDef.fields), 'createdAt', 'updatedAt'];
+  }
+  return null;
+};
+
+const createFormatter = (format, { columns, transform }) => {
+  let count = 0;
+  let sample = [];
+  let header = columns;
+
+  const writeCsv = (stream, doc) => {
+    const flat = flattenDocument(doc);
+    stream.push(toCsvRow(header.map(column => flat[column] !== undefined ? flat[column] : _.get(doc, column))));
+  };
+
+  const flushSample = (stream) => {
+    const keys = new Set();
+    sample.forEach(doc => Object.keys(flattenDocument(doc)).forEach(key => keys.add(key)));
+    header = [...keys];
+    stream.push(toCsvRow(header));
+    sample.forEach(doc => writeCsv(stream, doc));
+    sample = null;
+  };
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(rawDoc, encoding, callback) {
+      const doc = transform ? transform(rawDoc) : rawDoc;
+
+      if (format === 'ndjson') {
+        this.push(JSON.stringify(doc, jsonReplacer) + '\n');
+      } else if (format === 'ejson') {
+        this.push((count === 0 ? '[\n' : ',\n') + EJSON.stringify(doc, { relaxed: false }));
+      } else if (header) {
+        if (count === 0) {
+          this.push(toCsvRow(header));
+        }
+        writeCsv(this, doc);
+      } else {
+        sample.push(doc);
+        if (sample.length >= CSV_SAMPLE_SIZE) {
+          flushSample(this);
+        }
+      }
+
+      count++;
+      callback();
+    },
+    flush(callback) {
+      if (format === 'ejson') {
+        this.push(count === 0 ? '[]\n' : '\n]\n');
+      } else if (format === 'csv' && !header) {
+        flushSample(this);
+      } else if (format === 'csv' && count === 0) {
+        this.push(toCsvRow(header));
+      }
+      callback();
+    }
+  });
+};
+
+// Stream a cursor to the response as an attachment
+const streamExport = (res, cursor, { format, gzip, filename, columns, transform }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const name = `${filename}.${extension}${gzip ? '.gz' : ''}`;
+
+  res.setHeader('Content-Type', gzip ? 'application/gzip' : `${contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+
+  const stages = [cursor, createFormatter(format, { columns, transform })];
+  if (gzip) {
+    stages.push(zlib.createGzip());
+  }
+
+  // Headers are already sent once data flows, so a failure can only end the response
+  pipeline(...stages, res, (error) => {
+    if (error) {
+      console.error(`Export of ${filename} failed:`, error.message);
+      cursor.close?.().catch(() => {});
+    }
+  });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenDocument,
+  getCsvColumns,
+  streamExport
+};
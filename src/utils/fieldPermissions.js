@@ -0,0 +1,109 @@
+const { isGenerated } = require('./generatedFields');
+
+// Field-level visibility declared on Schema fields:
+//   hidden      never returned by the API
+//   readOnly    never writable through the API
+//   readRoles   only callers with one of these roles see the field
+//   writeRoles  only callers with one of these roles may write the field
+//   generated   filled in by the server (see generatedFields.js), never written by callers
+// Caller roles come from req.auth (token roles, or 'admin' for admin API keys).
+
+const getCallerRoles = (req) => req.auth?.roles || [];
+
+const hasAnyRole = (allowed, roles) => !allowed?.length || allowed.some(role => roles.includes(role));
+
+const canReadField = (field, roles) => !field.hidden && hasAnyRole(field.readRoles, roles);
+
+const canWriteField = (field, roles) => !field.readOnly && !isGenerated(field) && hasAnyRole(field.writeRoles, roles);
+
+// Why a field cannot be written, or null when it can
+const describeWriteRestriction = (field, roles) => {
+  if (field.readOnly) {
+    return `Field '${field.name}' is read-only`;
+  }
+  if (isGenerated(field)) {
+    return `Field '${field.name}' is generated by the server`;
+  }
+  if (!hasAnyRole(field.writeRoles, roles)) {
+    return `Field '${field.name}' is writable only by roles: ${field.writeRoles.join(', ')}`;
+  }
+  return null;
+};
+
+const toPlainObject = (doc) => {
+  return typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+};
+
+// Names of the fields the caller may not read
+const getUnreadableFields = (schemaDef, req) => {
+  const roles = getCallerRoles(req);
+  return (schemaDef?.fields || [])
+    .filter(field => !canReadField(field, roles))
+    .map(field => field.name);
+};
+
+// Remove fields the caller may not read from one document or an array of documents
+const stripHiddenFields = (schemaDef, req, docs) => {
+  const unreadable = getUnreadableFields(schemaDef, req);
+
+  if (unreadable.length === 0 || !docs) {
+    return docs;
+  }
+
+  const strip = (doc) => {
+    if (!doc || typeof doc !== 'object') {
+      return doc;
+    }
+    const plain = toPlainObject(doc);
+    unreadable.forEach(name => delete plain[name]);
+    return plain;
+  };
+
+  return Array.isArray(docs) ? docs.map(strip) : strip(docs);
+};
+
+// Top-level field names touched by a document or update body, including operator bodies
+const collectWrittenFields = (body) => {
+  const names = new Set();
+
+  Object.keys(body || {}).forEach(key => {
+    if (key.startsWith('$') && body[key] && typeof body[key] === 'object') {
+      Object.keys(body[key]).forEach(path => names.add(path.split('.')[0]));
+    } else {
+      names.add(key.split('.')[0]);
+    }
+  });
+
+  return names;
+};
+
+// Per-field errors for writes the caller is not allowed to make
+const findProtectedFieldErrors = (schemaDef, req, body) => {
+  const roles = getCallerRoles(req);
+  const written = collectWrittenFields(body);
+
+  return (schemaDef?.fields || [])
+    .filter(field => written.has(field.name) && !canWriteField(field, roles))
+    .map(field => ({
+      field: field.name,
+      message: describeWriteRestriction(field, roles)
+    }));
+};
+
+// Send the response for writes that touch protected fields
+const sendProtectedFieldErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Write rejected: request modifies protected fields',
+    errors
+  });
+};
+
+module.exports = {
+  canReadField,
+  canWriteField,
+  getUnreadableFields,
+  stripHiddenFields,
+  findProtectedFieldErrors,
+  sendProtectedFieldErrors
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const { Decimal128, Binary, UUID } = mongoose.mongo.BSON;
+
+// Field types a Schema can declare, and helpers for the ones that are not plain JSON:
+//   Decimal128  exact decimals for amounts; `scale` rounds to that many decimal places
+//   UUID        stored as BSON binary subtype 4, sent as '0f8fad5b-d9cb-469f-a165-70867728950e'
+//   Binary      stored as BSON binary, sent and accepted as base64
+//   Point       GeoJSON { type: 'Point', coordinates: [lng, lat] }
+//   Polygon     GeoJSON { type: 'Polygon', coordinates: [[[lng, lat], ...]] }
+//   Map         object with arbitrary keys; `items` types its values
+
+const FIELD_TYPES = [
+  'String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Array', 'Object', 'Mixed',
+  'Decimal128', 'UUID', 'Binary', 'Point', 'Polygon', 'Map'
+];
+
+const GEO_TYPES = ['Point', 'Polygon'];
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// '-12.340' -> { negative: true, digits: 1234, exponent: -2 }; null when not a decimal
+const parseDecimal = (value) => {
+  const text = String(value?._bsontype === 'Decimal128' ? value.toString() : value).trim();
+  const match = text.match(DECIMAL_PATTERN);
+  if (!match || (!match[2] && !match[3])) {
+    return null;
+  }
+  const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+  return {
+    negative: sign === '-',
+    digits: BigInt(`${integer}${fraction}` || '0'),
+    exponent: Number(exponent) - fraction.length
+  };
+};
+
+const formatDecimal = ({ negative, digits, exponent }) => {
+  let text = digits.toString();
+  if (exponent >= 0) {
+    text += '0'.repeat(exponent);
+  } else {
+    text = text.padStart(-exponent + 1, '0');
+    text = `${text.slice(0, exponent)}.${text.slice(exponent)}`;
+  }
+  return negative && digits !== 0n ? `-${text}` : text;
+};
+
+const isDecimal = (value) => parseDecimal(value) !== null;
+
+// Round half away from zero to `scale` decimal places; '10.505' at scale 2 -> '10.51'.
+// Returns null for values that are not decimals.
+const roundDecimal = (value, scale) => {
+  const parsed = parseDecimal(value);
+  if (!parsed) {
+    return null;
+  }
+
+  let { digits, exponent } = parsed;
+  if (exponent < -scale) {
+    const divisor = 10n ** BigInt(-scale - exponent);
+    const remainder = digits % divisor;
+    digits = digits / divisor + (remainder * 2n >= divisor ? 1n : 0n);
+  } else {
+    digits *= 10n ** BigInt(exponent + scale);
+  }
+  return formatDecimal({ negative: parsed.negative, digits, exponent: -scale });
+};
+
+// -1, 0 or 1, compared exactly
+const compareDecimals = (a, b) => {
+  const left = parseDecimal(a);
+  const right = parseDecimal(b);
+  const exponent = Math.min(left.exponent, right.exponent);
+  const scaled = ({ negative, digits, exponent: own }) => (negative ? -1n : 1n) * digits * 10n ** BigInt(own - exponent);
+  const difference = scaled(left) - scaled(right);
+  return difference === 0n ? 0 : (difference > 0n ? 1 : -1);
+};
+
+const toDecimal128 = (value) => {
+  if (value?._bsontype === 'Decimal128') {
+    return value;
+  }
+  if (typeof value === 'boolean' || !isDecimal(value)) {
+    throw new Error(`'${value}' is not a decimal`);
+  }
+  return Decimal128.fromString(formatDecimal(parseDecimal(value)));
+};
+
+const toUUID = (value) => {
+  if (value?._bsontype === 'Binary' && value.sub_type === Binary.SUBTYPE_UUID) {
+    return value.toUUID();
+  }
+  if (!UUID.isValid(String(value))) {
+    throw new Error(`'${value}' is not a valid UUID`);
+  }
+  return new UUID(String(value));
+};
+
+// Binary values are written as base64
+const toBinary = (value) => {
+  if (value?._bsontype === 'Binary' || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value) || value.length % 4 !== 0) {
+    throw new Error('Binary values must be base64');
+  }
+  return Buffer.from(value, 'base64');
+};
+
+// JSON form of a Decimal128, UUID or binary value; anything else is returned unchanged
+const toJsonValue = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value._bsontype === 'Decimal128') {
+    return value.toString();
+  }
+  if (value._bsontype === 'Binary') {
+    return value.sub_type === Binary.SUBTYPE_UUID ? value.toUUID().toHexString() : value.toString('base64');
+  }
+  if (Buffer.isBuffer(value)) {
+    // Mongoose keeps the BSON subtype of buffers it loaded
+    return value._subtype === Binary.SUBTYPE_UUID
+      ? new UUID(value).toHexString()
+      : value.toString('base64');
+  }
+  return value;
+};
+
+// JSON.stringify replacer for responses. The original value is read from the holder,
+// since Decimal128 and Binary have already been through their own toJSON by now.
+function jsonReplacer(key, value) {
+  const original = this[key];
+  if (original && (original._bsontype === 'Decimal128' || original._bsontype === 'Binary' || Buffer.isBuffer(original))) {
+    return toJsonValue(original);
+  }
+  return value;
+}
+
+const isPosition = (position) => Array.isArray(position) &&
+  position.length >= 2 && position.length <= 3 &&
+  position.every(coordinate => typeof coordinate === 'number' && isFinite(coordinate)) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// Closed ring of at least four positions
+const isLinearRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0].every((coordinate, index) => coordinate === ring[ring.length - 1][index]);
+
+const isValidGeometry = (type, coordinates) => {
+  if (type === 'Point') {
+    return isPosition(coordinates);
+  }
+  return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isLinearRing);
+};
+
+module.exports = {
+  FIELD_TYPES,
+  GEO_TYPES,
+  isDecimal,
+  roundDecimal,
+  compareDecimals,
+  toDecimal128,
+  toUUID,
+  toBinary,
+  toJsonValue,
+  jsonReplacer,
+  isValidGeometry
+};
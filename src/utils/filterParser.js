@@ -0,0 +1,427 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const { toDecimal128, toUUID, toBinary } = require('./fieldTypes');
+
+// Filters for the list endpoints, shared by the universal and collections routers.
+//
+// Query-string shorthand, one condition per parameter (repeat a field for ranges):
+//   ?status=active             equality (comma-separated values become $in)
+//   ?amount=>=10&amount=<50    comparisons: >, >=, <, <=, != (also ?amount>=10, ?amount>10)
+//   ?name=~john                case-insensitive regex
+//   ?address.city=Paris        nested fields use dot paths
+//
+// JSON filter, ?filter={...}, for everything else:
+//   {"$or": [{"status": "failed"}, {"amount": {"$gte": 1000}}],
+//    "paidAt": {"$gte": "2024-01-01"}, "refundId": {"$exists": false},
+//    "customerId": {"$oid": "65a..."}}
+//
+// Values are coerced with the schema's field types when a schema exists; otherwise
+// numbers and booleans are detected, and {"$date": ...} / {"$oid": ...} force a type.
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const LIST_OPERATORS = ['$in', '$nin', '$all'];
+const FIELD_OPERATORS = [...COMPARISON_OPERATORS, ...LIST_OPERATORS,
+  '$exists', '$regex', '$options', '$not', '$size', '$type', '$elemMatch'];
+
+const SHORTHAND_OPERATORS = {
+  '>=': '$gte',
+  '<=': '$lte',
+  '!=': '$ne',
+  '>': '$gt',
+  '<': '$lt'
+};
+
+const MAX_DEPTH = 10;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Definition for a dotted path, following nested object fields, array items and map values, so
+// 'items.amount' and 'items.2.amount' both reach the amount field of the line items
+const getFieldDefinition = (schemaDef, path) => {
+  const [first, ...rest] = path.split('.');
+  let field = (schemaDef?.fields || []).find(entry => entry.name === first) || null;
+
+  for (const segment of rest) {
+    if (!field) {
+      return null;
+    }
+    if (field.type === 'Map') {
+      // The segment is a key of the map
+      field = field.items || null;
+      continue;
+    }
+    if (field.type === 'Array') {
+      field = field.items || null;
+      if (!field || /^\d+$/.test(segment)) {
+        continue;
+      }
+    }
+    field = (field.fields || []).find(entry => entry.name === segment) || null;
+  }
+  return field;
+};
+
+const getFieldType = (schemaDef, path) => {
+  if (path === '_id') {
+    return 'ObjectId';
+  }
+  if (['createdAt', 'updatedAt', 'deletedAt'].includes(path)) {
+    return 'Date';
+  }
+  const field = getFieldDefinition(schemaDef, path);
+  return field ? field.type : null;
+};
+
+const coerceDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`'${value}' is not a valid date`);
+  }
+  return date;
+};
+
+const coerceObjectId = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value;
+  }
+  if (!mongoose.Types.ObjectId.isValid(value) || String(value).length !== 24) {
+    throw new Error(`'${value}' is not a valid ObjectId`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+// Guess a type for a raw string when there is no schema type
+const inferValue = (value, comparison) => {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  if (value === 'null') {
+    return null;
+  }
+  if (value !== '' && !isNaN(value) && !isNaN(parseFloat(value))) {
+    return parseFloat(value);
+  }
+  if (comparison && ISO_DATE_PATTERN.test(value)) {
+    return coerceDate(value);
+  }
+  return value;
+};
+
+// Coerce a single value to the field type; throws with a readable message
+const coerceValue = (value, type, comparison = false) => {
+  if (value === null) {
+    return null;
+  }
+
+  // Explicit types win over the schema
+  if (_.isPlainObject(value)) {
+    if (value.$date !== undefined) {
+      return coerceDate(value.$date);
+    }
+    if (value.$oid !== undefined) {
+      return coerceObjectId(value.$oid);
+    }
+    throw new Error('Unexpected object value');
+  }
+
+  switch (type) {
+    case 'Number': {
+      const number = Number(value);
+      if (value === '' || typeof value === 'boolean' || isNaN(number)) {
+        throw new Error(`'${value}' is not a number`);
+      }
+      return number;
+    }
+    case 'Boolean':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      if (value === false || value === 'false') {
+        return false;
+      }
+      throw new Error(`'${value}' is not a boolean`);
+    case 'Date':
+      return coerceDate(value);
+    case 'ObjectId':
+      return coerceObjectId(value);
+    case 'String':
+      return String(value);
+    case 'Decimal128':
+      // Compared as an exact decimal, so amount>10.50 does not go through floating point
+      return toDecimal128(value);
+    case 'UUID':
+      return toUUID(value);
+    case 'Binary':
+      return toBinary(value);
+    default:
+      return typeof value === 'string' ? inferValue(value, comparison) : value;
+  }
+};
+
+const compileRegex = (pattern, options) => {
+  try {
+    new RegExp(pattern, options);
+  } catch (error) {
+    throw new Error(`invalid regular expression: ${error.message}`);
+  }
+};
+
+// Parse one shorthand condition into { operator, value }
+const parseShorthand = (raw) => {
+  const operator = ['>=', '<=', '!=', '>', '<'].find(prefix => raw.startsWith(prefix));
+  if (operator) {
+    return { operator: SHORTHAND_OPERATORS[operator], value: raw.substring(operator.length) };
+  }
+  if (raw.startsWith('~')) {
+    return { operator: '$regex', value: raw.substring(1) };
+  }
+  if (raw.includes(',')) {
+    return { operator: '$in', value: raw.split(',') };
+  }
+  return { operator: '$eq', value: raw };
+};
+
+// Split keys such as 'amount>' (from ?amount>=10) or 'age>25' (from ?age>25)
+const splitShorthandKey = (key, value) => {
+  const suffix = key.match(/^(.+?)([<>!])$/);
+  if (suffix) {
+    return { field: suffix[1], raw: `${suffix[2]}=${value}` };
+  }
+  const inline = key.match(/^(.+?)(>|<)(.+)$/);
+  if (inline && value === '') {
+    return { field: inline[1], raw: `${inline[2]}${inline[3]}` };
+  }
+  return { field: key, raw: value };
+};
+
+// Parsing state: { schemaDef, unreadableFields, errors, filterFields }
+const addError = (context, path, message) => {
+  context.errors.push({ field: path, message });
+};
+
+const checkField = (context, path) => {
+  if (path.startsWith('$')) {
+    addError(context, path, `Operator ${path} is not allowed here`);
+    return false;
+  }
+  if (context.unreadableFields.includes(path.split('.')[0])) {
+    addError(context, path, `Cannot filter on field '${path}'`);
+    return false;
+  }
+  return true;
+};
+
+const coerceField = (context, path, value, comparison) => {
+  try {
+    return coerceValue(value, getFieldType(context.schemaDef, path), comparison);
+  } catch (error) {
+    addError(context, path, error.message);
+    return undefined;
+  }
+};
+
+// Query-string shorthand; repeated parameters are combined on the same field
+const addShorthand = (context, query, key, values) => {
+  (Array.isArray(values) ? values : [values]).forEach(value => {
+    if (typeof value !== 'string') {
+      addError(context, key, 'Unsupported value');
+      return;
+    }
+
+    const { field, raw } = splitShorthandKey(key, value);
+    if (!checkField(context, field)) {
+      return;
+    }
+    if (context.filterFields.includes(field)) {
+      addError(context, field, 'Field is set both in filter and as a query parameter');
+      return;
+    }
+
+    const { operator, value: operand } = parseShorthand(raw);
+    let condition;
+
+    if (operator === '$regex') {
+      try {
+        compileRegex(operand, 'i');
+        condition = { $regex: operand, $options: 'i' };
+      } catch (error) {
+        addError(context, field, error.message);
+        return;
+      }
+    } else if (operator === '$in') {
+      condition = { $in: operand.map(item => coerceField(context, field, item, false)) };
+    } else {
+      condition = { [operator]: coerceField(context, field, operand, operator !== '$eq') };
+    }
+
+    if (Object.values(condition).some(item => item === undefined || (Array.isArray(item) && item.includes(undefined)))) {
+      return;
+    }
+
+    // Plain equality stays a plain value, unless the field already has conditions
+    const existing = query[field];
+    if (operator === '$eq' && existing === undefined) {
+      query[field] = condition.$eq;
+    } else if (_.isPlainObject(existing) && !existing.$regex && operator !== '$eq') {
+      Object.assign(existing, condition);
+    } else if (existing === undefined) {
+      query[field] = condition;
+    } else {
+      addError(context, field, 'Conflicting conditions for field');
+    }
+  });
+};
+
+// JSON filter expression
+const parseExpression = (context, expression, depth = 0) => {
+  if (depth > MAX_DEPTH) {
+    addError(context, 'filter', `Filter is nested more than ${MAX_DEPTH} levels deep`);
+    return {};
+  }
+  if (!_.isPlainObject(expression)) {
+    addError(context, 'filter', 'Filter must be an object');
+    return {};
+  }
+
+  const query = {};
+  Object.entries(expression).forEach(([key, value]) => {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        addError(context, key, `${key} must be a non-empty array of filters`);
+        return;
+      }
+      query[key] = value.map(item => parseExpression(context, item, depth + 1));
+      return;
+    }
+
+    if (!checkField(context, key)) {
+      return;
+    }
+    query[key] = parseFieldCondition(context, key, value, depth + 1);
+  });
+  return query;
+};
+
+const parseFieldCondition = (context, path, condition, depth) => {
+  const isOperatorObject = _.isPlainObject(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(key => key.startsWith('$')) &&
+    condition.$date === undefined && condition.$oid === undefined;
+
+  if (!isOperatorObject) {
+    if (Array.isArray(condition)) {
+      return condition.map(item => coerceField(context, path, item, false));
+    }
+    return coerceField(context, path, condition, false);
+  }
+
+  const result = {};
+  Object.entries(condition).forEach(([operator, operand]) => {
+    if (!FIELD_OPERATORS.includes(operator)) {
+      addError(context, path, `Operator ${operator} is not supported`);
+      return;
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      result[operator] = coerceField(context, path, operand, operator !== '$eq' && operator !== '$ne');
+    } else if (LIST_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operand)) {
+        addError(context, path, `${operator} requires an array`);
+        return;
+      }
+      result[operator] = operand.map(item => coerceField(context, path, item, false));
+    } else if (operator === '$exists') {
+      if (typeof operand !== 'boolean') {
+        addError(context, path, '$exists requires true or false');
+        return;
+      }
+      result.$exists = operand;
+    } else if (operator === '$regex') {
+      if (typeof operand !== 'string') {
+        addError(context, path, '$regex requires a string');
+        return;
+      }
+      try {
+        compileRegex(operand, condition.$options);
+        result.$regex = operand;
+      } catch (error) {
+        addError(context, path, error.message);
+      }
+    } else if (operator === '$options') {
+      if (typeof operand !== 'string' || !/^[imsx]*$/.test(operand)) {
+        addError(context, path, '$options may only contain i, m, s and x');
+        return;
+      }
+      result.$options = operand;
+    } else if (operator === '$size') {
+      if (!Number.isInteger(operand) || operand < 0) {
+        addError(context, path, '$size requires a non-negative integer');
+        return;
+      }
+      result.$size = operand;
+    } else if (operator === '$type') {
+      if (typeof operand !== 'string' && typeof operand !== 'number') {
+        addError(context, path, '$type requires a type name or number');
+        return;
+      }
+      result.$type = operand;
+    } else if (operator === '$not') {
+      result.$not = parseFieldCondition(context, path, operand, depth + 1);
+    } else if (operator === '$elemMatch') {
+      result.$elemMatch = parseExpression(context, operand, depth + 1);
+    }
+  });
+  return result;
+};
+
+// Build a MongoDB query from the list endpoint's query string.
+// Returns { query, errors }; errors is empty when the filter is valid.
+const parseFilters = (queryParams, schemaDef, options = {}) => {
+  const { reserved = [], unreadableFields = [] } = options;
+  const context = { schemaDef, unreadableFields, errors: [] };
+  let query = {};
+
+  if (queryParams.filter !== undefined) {
+    let expression;
+    try {
+      expression = typeof queryParams.filter === 'string'
+        ? JSON.parse(queryParams.filter)
+        : queryParams.filter;
+    } catch (error) {
+      addError(context, 'filter', `Filter is not valid JSON: ${error.message}`);
+    }
+    if (expression !== undefined) {
+      query = parseExpression(context, expression);
+    }
+  }
+  context.filterFields = Object.keys(query);
+
+  Object.keys(queryParams).forEach(key => {
+    if (key === 'filter' || reserved.includes(key)) {
+      return;
+    }
+    addShorthand(context, query, key, queryParams[key]);
+  });
+
+  return { query, errors: context.errors };
+};
+
+// Send the response for a malformed filter
+const sendFilterErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid filter',
+    errors
+  });
+};
+
+module.exports = {
+  getFieldDefinition,
+  getFieldType,
+  coerceValue,
+  parseFilters,
+  sendFilterErrors
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const Counter = require('../models/Counter');
+const { getActor } = require('./audit');
+
+// Top-level fields whose value the server fills in when a document is created, declared as
+// `generated` on the Schema field:
+//   timestamp  the time of the write
+//   uuid       a random UUID
+//   sequence   the next number of a per-collection counter, e.g. 'INV-000042' with
+//              { prefix: 'INV-', padding: 6 } on a String field
+//   caller     the caller's id on a String field ('config:<name>' for configured keys),
+//              or { authType, id, name } on an Object field
+// Clients cannot write generated fields (see fieldPermissions.js); values are set on create
+// and kept on updates.
+
+const GENERATED_STRATEGIES = ['timestamp', 'uuid', 'sequence', 'caller'];
+
+// Field types each strategy can fill
+const GENERATED_FIELD_TYPES = {
+  timestamp: ['Date'],
+  uuid: ['UUID', 'String'],
+  sequence: ['Number', 'String'],
+  // Caller ids are not always ObjectIds (configured keys, token subjects)
+  caller: ['String', 'Object', 'Mixed']
+};
+
+const isGenerated = (field) => !!field.generated?.strategy;
+
+const getGeneratedFields = (schemaDef) => (schemaDef?.fields || []).filter(isGenerated);
+
+const getGeneratedFieldNames = (schemaDef) => getGeneratedFields(schemaDef).map(field => field.name);
+
+// Why a generated field definition is invalid, or null when it is fine
+const describeGeneratedError = (field) => {
+  const { strategy, prefix, padding } = field.generated;
+  // Unknown strategies are reported by the enum
+  if (GENERATED_FIELD_TYPES[strategy] && !GENERATED_FIELD_TYPES[strategy].includes(field.type)) {
+    return `'${strategy}' cannot fill a ${field.type} field (use ${GENERATED_FIELD_TYPES[strategy].join(', ')})`;
+  }
+  if (strategy === 'sequence' && field.type !== 'String' && (prefix || padding)) {
+    return 'prefix and padding need a String field';
+  }
+  return null;
+};
+
+// Reserve `amount` consecutive numbers of a sequence in one atomic update
+const reserveNumbers = async (collectionName, field, amount) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${collectionName}.${field.name}` },
+    { $inc: { count: amount }, $setOnInsert: { collectionName, field: field.name } },
+    { upsert: true, new: true }
+  );
+  const first = (field.generated.start ?? 1) + counter.count - amount;
+  return _.range(first, first + amount);
+};
+
+const formatSequenceValue = (field, number) => {
+  if (field.type !== 'String') {
+    return number;
+  }
+  const { prefix, padding } = field.generated;
+  return `${prefix || ''}${String(number).padStart(padding || 0, '0')}`;
+};
+
+const getCallerValue = (field, req) => {
+  const actor = getActor(req);
+  return ['Object', 'Mixed'].includes(field.type) ? actor : actor.id;
+};
+
+// Set the generated fields of documents about to be inserted, overriding anything already
+// there. Sequences reserve one block of numbers for the whole batch.
+const applyGeneratedValues = async (schemaDef, req, documents) => {
+  const fields = getGeneratedFields(schemaDef);
+  if (fields.length === 0 || documents.length === 0) {
+    return documents;
+  }
+
+  const now = new Date();
+  for (const field of fields) {
+    const { strategy } = field.generated;
+    const numbers = strategy === 'sequence'
+      ? await reserveNumbers(schemaDef.collectionName, field, documents.length)
+      : [];
+
+    documents.forEach((document, index) => {
+      switch (strategy) {
+        case 'timestamp':
+          document[field.name] = now;
+          break;
+        case 'uuid':
+          document[field.name] = crypto.randomUUID();
+          break;
+        case 'sequence':
+          document[field.name] = formatSequenceValue(field, numbers[index]);
+          break;
+        case 'caller':
+          document[field.name] = getCallerValue(field, req);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  return documents;
+};
+
+module.exports = {
+  GENERATED_STRATEGIES,
+  isGenerated,
+  getGeneratedFieldNames,
+  describeGeneratedError,
+  applyGeneratedValues
+};
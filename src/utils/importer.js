@@ -0,0 +1,241 @@
+const _ = require('lodash');
+const zlib = require('zlib');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const { getFieldDefinition, getFieldType, coerceValue } = require('./filterParser');
+const { getGeneratedFieldNames } = require('./generatedFields');
+
+// Streamed CSV / NDJSON import. Rows are parsed from the request body as it arrives,
+// coerced to the collection's schema types, validated and inserted in batches. A bad
+// row is reported with its errors instead of failing the whole import.
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Failed rows listed in the report; the rest are only counted
+const MAX_REPORTED_FAILURES = 1000;
+
+// Request body as a stream, decompressed when sent with Content-Encoding: gzip
+const getBodyStream = (req) => {
+  return req.headers['content-encoding'] === 'gzip' ? req.pipe(zlib.createGunzip()) : req;
+};
+
+// Yield CSV records (arrays of cells); quoted cells may contain delimiters and newlines
+async function* parseCsv(stream, delimiter = ',') {
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let pendingQuote = false;
+  // Multi-byte characters may be split across chunks
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    const text = decoder.write(chunk);
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          cell += '"';
+          continue;
+        }
+        quoted = false;
+      }
+
+      if (quoted) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        record.push(cell.endsWith('\r') ? cell.slice(0, -1) : cell);
+        yield record;
+        record = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell.endsWith('\r') ? cell.slice(0, -1) : cell);
+    yield record;
+  }
+}
+
+// Yield { row, values, error } for every non-empty record of the upload
+async function* readRows(stream, format, { delimiter, map = {} }) {
+  if (format === 'ndjson') {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let row = 0;
+    for await (const line of lines) {
+      row++;
+      if (line.trim() === '') {
+        continue;
+      }
+      try {
+        const values = JSON.parse(line);
+        if (!_.isPlainObject(values)) {
+          throw new Error('Line is not a JSON object');
+        }
+        yield { row, values: _.mapKeys(values, (value, key) => map[key] !== undefined ? map[key] : key) };
+      } catch (error) {
+        yield { row, error: `Invalid JSON: ${error.message}` };
+      }
+    }
+    return;
+  }
+
+  let header = null;
+  let row = 0;
+  for await (const record of parseCsv(stream, delimiter)) {
+    if (!header) {
+      header = record.map(column => {
+        const name = column.trim();
+        return map[name] !== undefined ? map[name] : name;
+      });
+      continue;
+    }
+    row++;
+    if (record.length === 1 && record[0] === '') {
+      continue;
+    }
+    if (record.length > header.length) {
+      yield { row, error: `Row has ${record.length} columns, header has ${header.length}` };
+      continue;
+    }
+
+    // Dotted column names become nested fields; empty cells and unmapped columns are skipped
+    const values = {};
+    record.forEach((cell, index) => {
+      if (header[index] && cell !== '') {
+        _.set(values, header[index], cell);
+      }
+    });
+    yield { row, values, fromCsv: true };
+  }
+}
+
+// Coerce the values of a row to the schema types; returns per-field errors
+const coerceRow = (schemaDef, values, fromCsv) => {
+  const errors = [];
+
+  const coerce = (value, path) => {
+    const type = getFieldType(schemaDef, path);
+    try {
+      if (typeof value === 'string' && ['Array', 'Object', 'Mixed'].includes(type) && /^[[{]/.test(value)) {
+        return JSON.parse(value);
+      }
+      if (typeof value === 'string' && (fromCsv || type)) {
+        return coerceValue(value, type);
+      }
+      if (_.isPlainObject(value) && (value.$date !== undefined || value.$oid !== undefined)) {
+        return coerceValue(value, type);
+      }
+      return value;
+    } catch (error) {
+      errors.push({ field: path, message: error.message });
+      return value;
+    }
+  };
+
+  // Objects are walked unless the schema types them as a whole (Mixed, or Object without fields)
+  const walk = (object, prefix) => _.mapValues(object, (value, key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const field = getFieldDefinition(schemaDef, path);
+    return _.isPlainObject(value) && !value.$date && !value.$oid && (!field || field.fields?.length > 0)
+      ? walk(value, path)
+      : coerce(value, path);
+  });
+
+  return { document: walk(values, ''), errors };
+};
+
+// Rows are validated with the collection's model, so a schema's constraints are
+// reported per row before anything is inserted. Generated fields are only filled in
+// at insert time and are skipped here.
+const validateDocument = (model, document, generatedFields) => {
+  const error = new model(document).validateSync(null, { pathsToSkip: generatedFields });
+  return error
+    ? Object.keys(error.errors).map(field => ({ field, message: error.errors[field].message }))
+    : [];
+};
+
+// Run an import and build the report.
+//   prepare(document) returns { document, errors } after access checks and ownership stamping
+//   model validates rows against the collection's schema
+//   insert(documents) fills in generated fields, inserts a batch and returns
+//     { inserted, failures: [{ index, message }] }
+const runImport = async (stream, options) => {
+  const { format, schemaDef, model, dryRun, batchSize, delimiter, map, prepare, insert } = options;
+  const report = { processed: 0, inserted: 0, failed: 0, dryRun, failures: [] };
+  const generatedFields = getGeneratedFieldNames(schemaDef);
+  let batch = [];
+
+  const fail = (row, errors) => {
+    report.failed++;
+    if (report.failures.length < MAX_REPORTED_FAILURES) {
+      report.failures.push({ row, errors });
+    }
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    if (dryRun) {
+      report.inserted += batch.length;
+    } else {
+      const result = await insert(batch.map(entry => entry.document));
+      report.inserted += result.inserted;
+      result.failures.forEach(failure => fail(batch[failure.index].row, [{ field: null, message: failure.message }]));
+    }
+    batch = [];
+  };
+
+  for await (const { row, values, error, fromCsv } of readRows(stream, format, { delimiter, map })) {
+    report.processed++;
+    if (error) {
+      fail(row, [{ field: null, message: error }]);
+      continue;
+    }
+
+    const coerced = coerceRow(schemaDef, values, fromCsv);
+    if (coerced.errors.length > 0) {
+      fail(row, coerced.errors);
+      continue;
+    }
+
+    const { document, errors } = prepare(coerced.document);
+    const rowErrors = [...errors, ...validateDocument(model, document, generatedFields)];
+    if (rowErrors.length > 0) {
+      fail(row, rowErrors);
+      continue;
+    }
+
+    batch.push({ row, document });
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (report.failures.length < report.failed) {
+    report.failuresTruncated = true;
+  }
+  return report;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  getBodyStream,
+  coerceRow,
+  runImport
+};
@@ -0,0 +1,26 @@
+// Collections the API keeps its own state in. The collection routes refuse them to
+// everyone but admins: they hold key hashes, the audit trail, full document snapshots,
+// sequence counters and migration state, which only change through their own endpoints.
+
+const INTERNAL_COLLECTIONS = [
+  'api_keys',
+  'audit_logs',
+  'schemas',
+  'schema_versions',
+  'migrations',
+  'migration_rollbacks',
+  'sequence_counters'
+];
+
+const isInternalCollection = (name) => {
+  const normalized = String(name || '').toLowerCase();
+  return INTERNAL_COLLECTIONS.includes(normalized) ||
+    normalized.endsWith('_revisions') || // document revisions, see versioning.js
+    normalized.startsWith('restore_staging.') || // ids of a running replace restore, see restore.js
+    normalized.startsWith('system.');
+};
+
+module.exports = {
+  INTERNAL_COLLECTIONS,
+  isInternalCollection
+};
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// Native collection validation. When a schema has nativeValidation.enabled, its fields are
+// turned into a $jsonSchema validator and applied to the collection with collMod, so
+// writes that bypass the API (raw queries, restores, other clients) are checked as well.
+
+const BSON_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'bool',
+  Date: 'date',
+  ObjectId: 'objectId',
+  Array: 'array',
+  Object: 'object',
+  Decimal128: 'decimal',
+  UUID: 'binData',
+  Binary: 'binData',
+  Point: 'object',
+  Polygon: 'object',
+  Map: 'object'
+};
+
+// Shape of the GeoJSON geometries; coordinate ranges are left to the API
+const GEO_SCHEMAS = {
+  Point: {
+    required: ['type', 'coordinates'],
+    properties: {
+      type: { enum: ['Point'] },
+      coordinates: { bsonType: 'array', minItems: 2, maxItems: 3, items: { bsonType: 'number' } }
+    }
+  },
+  Polygon: {
+    required: ['type', 'coordinates'],
+    properties: {
+      type: { enum: ['Polygon'] },
+      coordinates: { bsonType: 'array', items: { bsonType: 'array', minItems: 4 } }
+    }
+  }
+};
+
+const isEnabled = (schemaDef) => !!schemaDef?.nativeValidation?.enabled;
+
+// $jsonSchema for one field or array item; optional fields also accept null
+const buildFieldSchema = (field, nullable = !field.required) => {
+  const property = {};
+  const bsonType = BSON_TYPES[field.type];
+
+  if (bsonType) {
+    property.bsonType = nullable ? [bsonType, 'null'] : bsonType;
+  }
+  if (field.description) {
+    property.description = field.description;
+  }
+  if (field.enum?.length > 0) {
+    property.enum = nullable ? [...field.enum, null] : [...field.enum];
+  }
+  if (field.min !== undefined && field.min !== null) {
+    property.minimum = field.min;
+  }
+  if (field.max !== undefined && field.max !== null) {
+    property.maximum = field.max;
+  }
+  if (field.minLength !== undefined && field.minLength !== null) {
+    property.minLength = field.minLength;
+  }
+  if (field.maxLength !== undefined && field.maxLength !== null) {
+    property.maxLength = field.maxLength;
+  }
+  if (field.pattern) {
+    property.pattern = field.pattern;
+  }
+  if (field.type === 'Object' && field.fields?.length > 0) {
+    Object.assign(property, buildObjectSchema(field.fields));
+  }
+  if (field.type === 'Array' && field.items) {
+    property.items = buildFieldSchema(field.items, false);
+  }
+  if (field.type === 'Map' && field.items) {
+    property.additionalProperties = buildFieldSchema(field.items, false);
+  }
+  if (GEO_SCHEMAS[field.type]) {
+    Object.assign(property, GEO_SCHEMAS[field.type]);
+  }
+
+  return property;
+};
+
+// properties and required for a list of fields. Fields not in the schema stay allowed,
+// as the universal routes accept them.
+const buildObjectSchema = (fields, properties = {}) => {
+  const required = [];
+
+  fields.forEach(field => {
+    properties[field.name] = buildFieldSchema(field);
+    if (field.required) {
+      required.push(field.name);
+    }
+  });
+
+  return required.length > 0 ? { properties, required } : { properties };
+};
+
+// Collection validator for a schema definition
+const buildJsonSchema = (schemaDef) => {
+  const timestamps = {
+    createdAt: { bsonType: ['date', 'null'] },
+    updatedAt: { bsonType: ['date', 'null'] }
+  };
+  return { $jsonSchema: { bsonType: 'object', ...buildObjectSchema(schemaDef.fields, timestamps) } };
+};
+
+const collectionExists = async (name) => {
+  const collections = await mongoose.connection.db.listCollections({ name }).toArray();
+  return collections.length > 0;
+};
+
+// Apply the schema's validator to its collection, creating the collection if needed
+const applyValidator = async (schemaDef) => {
+  const { validationLevel = 'strict', validationAction = 'error' } = schemaDef.nativeValidation || {};
+  const validator = buildJsonSchema(schemaDef);
+  const db = mongoose.connection.db;
+
+  if (await collectionExists(schemaDef.collectionName)) {
+    await db.command({ collMod: schemaDef.collectionName, validator, validationLevel, validationAction });
+  } else {
+    await db.createCollection(schemaDef.collectionName, { validator, validationLevel, validationAction });
+  }
+
+  return { applied: true, validationLevel, validationAction, validator };
+};
+
+// Drop the validator from the schema's collection
+const removeValidator = async (schemaDef) => {
+  if (!(await collectionExists(schemaDef.collectionName))) {
+    return { removed: false };
+  }
+  await mongoose.connection.db.command({
+    collMod: schemaDef.collectionName,
+    validator: {},
+    validationLevel: 'off'
+  });
+  return { removed: true };
+};
+
+// Bring the collection validator in line with the schema after a create, update or delete.
+// `wasEnabled` is whether native validation was on before the change. Errors are returned
+// rather than thrown, since the schema itself has already been saved.
+const syncValidator = async (schemaDef, { wasEnabled = false, deleted = false } = {}) => {
+  try {
+    if (!deleted && isEnabled(schemaDef)) {
+      return await applyValidator(schemaDef);
+    }
+    if (wasEnabled) {
+      return await removeValidator(schemaDef);
+    }
+    return null;
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// The validator currently set on the schema's collection
+const getCollectionValidator = async (collectionName) => {
+  const [info] = await mongoose.connection.db.listCollections({ name: collectionName }).toArray();
+  if (!info) {
+    return null;
+  }
+  const { validator = null, validationLevel = 'strict', validationAction = 'error' } = info.options || {};
+  return { validator, validationLevel, validationAction };
+};
+
+module.exports = {
+  isEnabled,
+  buildJsonSchema,
+  syncValidator,
+  getCollectionValidator
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Public keys from the JWKS file, indexed by kid (loaded once)
+let jwksKeys = null;
+
+const loadJwks = () => {
+  if (jwksKeys) {
+    return jwksKeys;
+  }
+
+  if (!config.jwt.jwksPath) {
+    throw new Error('JWT_JWKS_PATH is required for RS256 tokens');
+  }
+
+  const jwks = JSON.parse(fs.readFileSync(config.jwt.jwksPath, 'utf8'));
+  jwksKeys = (jwks.keys || [])
+    .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+    .map(jwk => ({
+      kid: jwk.kid,
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }));
+
+  return jwksKeys;
+};
+
+// Pick the verification key for a token
+const getVerificationKey = (header) => {
+  if (config.jwt.algorithm === 'HS256') {
+    if (!config.jwt.secret) {
+      throw new Error('JWT_SECRET is required for HS256 tokens');
+    }
+    return config.jwt.secret;
+  }
+
+  const keys = loadJwks();
+  const match = header.kid
+    ? keys.find(entry => entry.kid === header.kid)
+    : keys.length === 1 ? keys[0] : null;
+
+  if (!match) {
+    throw new jwt.JsonWebTokenError(`No signing key found for kid "${header.kid}"`);
+  }
+  return match.key;
+};
+
+// Tokens have three base64url segments; API keys are plain hex
+const looksLikeJwt = (token) => {
+  return typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+};
+
+// Verify a token and return its claims; throws on an invalid or expired token
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('Malformed token');
+  }
+
+  const options = { algorithms: [config.jwt.algorithm] };
+  if (config.jwt.issuer) {
+    options.issuer = config.jwt.issuer;
+  }
+  if (config.jwt.audience) {
+    options.audience = config.jwt.audience;
+  }
+
+  return jwt.verify(token, getVerificationKey(decoded.header), options);
+};
+
+module.exports = {
+  looksLikeJwt,
+  verifyToken
+};
@@ -0,0 +1,448 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const { coerceValue } = require('./filterParser');
+const { roundDecimal, toDecimal128 } = require('./fieldTypes');
+
+// Data migrations over a schema's collection. Operations:
+//   { op: 'rename', from, to }
+//   { op: 'convert', field, to: 'String' | 'Number' | 'Boolean' | 'Date' | 'ObjectId' | 'Array' | 'Decimal128', onError: 'fail' | 'skip' | 'null', scale }
+//   { op: 'default', field, value }                   set where missing or null
+//   { op: 'remove', field }
+//   { op: 'split', field, into: [...], separator: ' ', keepSource: false }
+//   { op: 'merge', fields: [...], into, separator: ' ', keepSources: false }
+// The runner walks the collection in _id order in batches and stores its position after
+// every batch, so a paused or failed migration resumes where it stopped. The prior values
+// of every changed path are kept in migration_rollbacks until the migration is rolled back.
+// Run state lives on the Migration document, so any instance of the API can pause a run and
+// a run whose process died can be taken over once its heartbeat is older than RUN_LEASE_MS.
+
+const OPERATIONS = ['rename', 'convert', 'default', 'remove', 'split', 'merge'];
+const CONVERT_TYPES = ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Array', 'Decimal128'];
+
+// Failures kept on the migration; the rest are only counted
+const MAX_RECORDED_FAILURES = 100;
+
+// How long a run is considered alive without a heartbeat
+const RUN_LEASE_MS = 2 * 60 * 1000;
+
+const getRollbackCollection = () => mongoose.connection.db.collection('migration_rollbacks');
+
+const isPath = (value) => typeof value === 'string' && value.length > 0 && !value.startsWith('$');
+
+// Check operations before a migration is created or previewed; returns error messages
+const validateOperations = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return ['At least one operation is required'];
+  }
+
+  return operations.flatMap((operation, index) => {
+    const at = `operations[${index}]`;
+    switch (operation?.op) {
+      case 'rename':
+        return isPath(operation.from) && isPath(operation.to) ? [] : [`${at}: rename needs 'from' and 'to'`];
+      case 'convert':
+        if (!isPath(operation.field) || !CONVERT_TYPES.includes(operation.to)) {
+          return [`${at}: convert needs 'field' and 'to' (${CONVERT_TYPES.join(', ')})`];
+        }
+        if (operation.scale !== undefined && !(Number.isInteger(operation.scale) && operation.scale >= 0 && operation.scale <= 34)) {
+          return [`${at}: scale must be an integer between 0 and 34`];
+        }
+        return !operation.onError || ['fail', 'skip', 'null'].includes(operation.onError)
+          ? []
+          : [`${at}: onError must be fail, skip or null`];
+      case 'default':
+        return isPath(operation.field) && operation.value !== undefined ? [] : [`${at}: default needs 'field' and 'value'`];
+      case 'remove':
+        return isPath(operation.field) ? [] : [`${at}: remove needs 'field'`];
+      case 'split':
+        return isPath(operation.field) && Array.isArray(operation.into) && operation.into.length > 0 && operation.into.every(isPath)
+          ? []
+          : [`${at}: split needs 'field' and 'into'`];
+      case 'merge':
+        return Array.isArray(operation.fields) && operation.fields.length > 0 && operation.fields.every(isPath) && isPath(operation.into)
+          ? []
+          : [`${at}: merge needs 'fields' and 'into'`];
+      default:
+        return [`${at}: op must be one of ${OPERATIONS.join(', ')}`];
+    }
+  });
+};
+
+const convertValue = (value, type, scale) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (type) {
+    case 'String':
+      return value instanceof Date ? value.toISOString() : String(value);
+    case 'Number':
+      if (value instanceof Date) {
+        return value.getTime();
+      }
+      if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+      }
+      return coerceValue(String(value).trim(), 'Number');
+    case 'Boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (typeof value === 'number') {
+        return value !== 0;
+      }
+      if (['1', 'yes'].includes(String(value).toLowerCase())) {
+        return true;
+      }
+      if (['0', 'no'].includes(String(value).toLowerCase())) {
+        return false;
+      }
+      return coerceValue(String(value).toLowerCase(), 'Boolean');
+    case 'Date':
+      return typeof value === 'number' ? new Date(value) : coerceValue(value, 'Date');
+    case 'ObjectId':
+      return coerceValue(String(value), 'ObjectId');
+    case 'Array':
+      return Array.isArray(value) ? value : [value];
+    case 'Decimal128': {
+      // Numbers go through their shortest string form, so 0.1 becomes 0.1 and not 0.1000000000000000055
+      const text = String(value).trim();
+      return toDecimal128(scale === undefined ? text : roundDecimal(text, scale) ?? text);
+    }
+    default:
+      return value;
+  }
+};
+
+const applyOperation = (doc, operation) => {
+  switch (operation.op) {
+    case 'rename':
+      if (_.has(doc, operation.from)) {
+        _.set(doc, operation.to, _.get(doc, operation.from));
+        _.unset(doc, operation.from);
+      }
+      return [operation.from, operation.to];
+    case 'convert': {
+      if (!_.has(doc, operation.field)) {
+        return [];
+      }
+      try {
+        _.set(doc, operation.field, convertValue(_.get(doc, operation.field), operation.to, operation.scale));
+      } catch (error) {
+        if (operation.onError === 'null') {
+          _.set(doc, operation.field, null);
+        } else if (operation.onError !== 'skip') {
+          throw new Error(`${operation.field}: ${error.message}`);
+        }
+      }
+      return [operation.field];
+    }
+    case 'default': {
+      const current = _.get(doc, operation.field);
+      if (current === undefined || current === null) {
+        _.set(doc, operation.field, operation.value);
+      }
+      return [operation.field];
+    }
+    case 'remove':
+      _.unset(doc, operation.field);
+      return [operation.field];
+    case 'split': {
+      const value = _.get(doc, operation.field);
+      if (typeof value !== 'string') {
+        return [];
+      }
+      const parts = value.split(operation.separator ?? ' ');
+      operation.into.forEach((target, index) => {
+        // The last target keeps the remainder, so no text is lost
+        const part = index === operation.into.length - 1
+          ? parts.slice(index).join(operation.separator ?? ' ')
+          : parts[index];
+        if (part !== undefined && part !== '') {
+          _.set(doc, target, part);
+        }
+      });
+      if (!operation.keepSource && !operation.into.includes(operation.field)) {
+        _.unset(doc, operation.field);
+      }
+      return [operation.field, ...operation.into];
+    }
+    case 'merge': {
+      const values = operation.fields.map(field => _.get(doc, field)).filter(value => value !== undefined && value !== null && value !== '');
+      if (values.length === 0) {
+        return [];
+      }
+      _.set(doc, operation.into, values.join(operation.separator ?? ' '));
+      if (!operation.keepSources) {
+        operation.fields.filter(field => field !== operation.into).forEach(field => _.unset(doc, field));
+      }
+      return [...operation.fields, operation.into];
+    }
+    default:
+      return [];
+  }
+};
+
+// Run the operations on one document. Returns the update to apply and the rollback
+// data for it, or null when the document does not change.
+const migrateDocument = (doc, operations) => {
+  const migrated = _.cloneDeep(doc);
+  const touched = new Set();
+  operations.forEach(operation => applyOperation(migrated, operation).forEach(path => touched.add(path)));
+
+  const $set = {};
+  const $unset = {};
+  const rollback = { set: [], unset: [] };
+
+  touched.forEach(path => {
+    const hadValue = _.has(doc, path);
+    const hasValue = _.has(migrated, path);
+    const before = _.get(doc, path);
+    const after = _.get(migrated, path);
+
+    if (hasValue && (!hadValue || !_.isEqual(before, after))) {
+      $set[path] = after;
+    } else if (!hasValue && hadValue) {
+      $unset[path] = '';
+    } else {
+      return;
+    }
+
+    if (hadValue) {
+      rollback.set.push({ path, value: before });
+    } else {
+      rollback.unset.push(path);
+    }
+  });
+
+  if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+    return null;
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) {
+    update.$set = $set;
+  }
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+  return { update, rollback, after: migrated };
+};
+
+// Run the operations on the first documents of the collection without writing
+const previewMigration = async (collectionName, operations, limit = 20) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+  const docs = await collection.find({}).sort({ _id: 1 }).limit(limit).toArray();
+
+  const samples = docs.map(doc => {
+    try {
+      const result = migrateDocument(doc, operations);
+      return { _id: doc._id, changed: !!result, update: result?.update || null, before: doc, after: result?.after || doc };
+    } catch (error) {
+      return { _id: doc._id, changed: false, error: error.message, before: doc };
+    }
+  });
+
+  return {
+    totalDocuments: await collection.countDocuments(),
+    sampled: samples.length,
+    wouldModify: samples.filter(sample => sample.changed).length,
+    errors: samples.filter(sample => sample.error).length,
+    samples
+  };
+};
+
+const recordFailure = (migration, documentId, message) => {
+  migration.progress.failed++;
+  if (migration.failures.length < MAX_RECORDED_FAILURES) {
+    migration.failures.push({ documentId: String(documentId), error: message });
+  }
+};
+
+// Whether a process is running the migration (or its rollback) right now
+const isRunning = (migration) => !!migration.runId &&
+  !!migration.heartbeatAt && Date.now() - new Date(migration.heartbeatAt).getTime() < RUN_LEASE_MS;
+
+// Read the run state written by other requests since the last batch. Returns 'pause' when a
+// pause was requested and 'lost' when another process has taken the run over.
+const checkRun = async (migration) => {
+  const state = await Migration.findById(migration._id, { runId: 1, pauseRequested: 1 }).lean();
+  if (!state || state.runId !== migration.runId) {
+    return 'lost';
+  }
+  return state.pauseRequested ? 'pause' : null;
+};
+
+const runBatches = async (migration) => {
+  const collection = mongoose.connection.db.collection(migration.collectionName);
+  const rollbacks = getRollbackCollection();
+  await rollbacks.createIndex({ migrationId: 1, documentId: 1 }, { unique: true });
+
+  if (!migration.startedAt) {
+    migration.startedAt = new Date();
+    migration.progress.total = await collection.countDocuments();
+  }
+  migration.status = 'running';
+  migration.error = undefined;
+  await migration.save();
+
+  for (;;) {
+    const state = await checkRun(migration);
+    if (state === 'lost') {
+      return;
+    }
+    if (state === 'pause') {
+      migration.status = 'paused';
+      migration.pauseRequested = false;
+      await migration.save();
+      return;
+    }
+
+    const lastId = migration.progress.lastId;
+    const filter = lastId !== undefined && lastId !== null ? { _id: { $gt: lastId } } : {};
+    const batch = await collection.find(filter).sort({ _id: 1 }).limit(migration.batchSize).toArray();
+    if (batch.length === 0) {
+      break;
+    }
+
+    const writes = [];
+    const rollbackWrites = [];
+    batch.forEach(doc => {
+      try {
+        const result = migrateDocument(doc, migration.operations);
+        if (result) {
+          writes.push({ updateOne: { filter: { _id: doc._id }, update: result.update } });
+          // The first recorded state wins if a batch is run again after a crash
+          rollbackWrites.push({
+            updateOne: {
+              filter: { migrationId: migration._id, documentId: doc._id },
+              update: { $setOnInsert: { ...result.rollback, createdAt: new Date() } },
+              upsert: true
+            }
+          });
+        }
+      } catch (error) {
+        recordFailure(migration, doc._id, error.message);
+      }
+    });
+
+    // Rollback data is stored before the documents change
+    if (rollbackWrites.length > 0) {
+      await rollbacks.bulkWrite(rollbackWrites, { ordered: false });
+    }
+    if (writes.length > 0) {
+      const result = await collection.bulkWrite(writes, { ordered: false });
+      migration.progress.modified += result.modifiedCount;
+    }
+
+    migration.progress.processed += batch.length;
+    migration.progress.lastId = batch[batch.length - 1]._id;
+    migration.markModified('progress.lastId');
+    migration.heartbeatAt = new Date();
+    await migration.save();
+  }
+
+  migration.status = 'completed';
+  migration.completedAt = new Date();
+  await migration.save();
+};
+
+// Rollbacks run to the end; a failed rollback can be started again
+const revertBatches = async (migration) => {
+  const collection = mongoose.connection.db.collection(migration.collectionName);
+  const rollbacks = getRollbackCollection();
+
+  migration.status = 'rolling-back';
+  await migration.save();
+
+  for (;;) {
+    if (await checkRun(migration) === 'lost') {
+      return;
+    }
+    const batch = await rollbacks.find({ migrationId: migration._id }).limit(migration.batchSize).toArray();
+    if (batch.length === 0) {
+      break;
+    }
+
+    await collection.bulkWrite(batch.map(entry => {
+      const update = {};
+      if (entry.set.length > 0) {
+        update.$set = Object.fromEntries(entry.set.map(({ path, value }) => [path, value]));
+      }
+      if (entry.unset.length > 0) {
+        update.$unset = Object.fromEntries(entry.unset.map(path => [path, '']));
+      }
+      return { updateOne: { filter: { _id: entry.documentId }, update } };
+    }), { ordered: false });
+    await rollbacks.deleteMany({ _id: { $in: batch.map(entry => entry._id) } });
+    await Migration.updateOne({ _id: migration._id, runId: migration.runId }, { $set: { heartbeatAt: new Date() } });
+  }
+
+  migration.status = 'rolled-back';
+  migration.rolledBackAt = new Date();
+  await migration.save();
+};
+
+// Start (or resume) a migration, or its rollback, in the background. The run is claimed on
+// the Migration document first; resolves to false when a live run already holds it.
+const startRun = async (migration, runner) => {
+  const runId = new mongoose.Types.ObjectId().toString();
+  const claimed = await Migration.findOneAndUpdate(
+    {
+      _id: migration._id,
+      $or: [{ runId: null }, { heartbeatAt: { $lt: new Date(Date.now() - RUN_LEASE_MS) } }]
+    },
+    { $set: { runId, heartbeatAt: new Date(), pauseRequested: false } },
+    { new: true }
+  );
+  if (!claimed) {
+    return false;
+  }
+
+  runner(claimed)
+    .catch(async (error) => {
+      console.error(`Migration ${migration._id} failed:`, error.message);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await claimed.save().catch(() => {});
+    })
+    .finally(() => Migration.updateOne(
+      { _id: migration._id, runId },
+      { $unset: { runId: '', heartbeatAt: '' }, $set: { pauseRequested: false } }
+    ).catch(error => console.error(`Error releasing migration ${migration._id}:`, error.message)));
+
+  return true;
+};
+
+const runMigration = (migration) => startRun(migration, runBatches);
+
+const rollbackMigration = (migration) => startRun(migration, revertBatches);
+
+// Ask a running migration to stop after its current batch. A migration left 'running' by a
+// process that died is marked paused right away. Returns 'requested', 'paused' or null.
+const pauseMigration = async (migration) => {
+  if (isRunning(migration)) {
+    const result = await Migration.updateOne(
+      { _id: migration._id, runId: migration.runId, status: 'running' },
+      { $set: { pauseRequested: true } }
+    );
+    return result.matchedCount > 0 ? 'requested' : null;
+  }
+
+  const result = await Migration.updateOne(
+    { _id: migration._id, status: 'running', $or: [{ runId: null }, { heartbeatAt: { $lt: new Date(Date.now() - RUN_LEASE_MS) } }] },
+    { $set: { status: 'paused', pauseRequested: false }, $unset: { runId: '', heartbeatAt: '' } }
+  );
+  return result.matchedCount > 0 ? 'paused' : null;
+};
+
+module.exports = {
+  validateOperations,
+  migrateDocument,
+  previewMigration,
+  runMigration,
+  rollbackMigration,
+  pauseMigration,
+  isRunning
+};
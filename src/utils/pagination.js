@@ -0,0 +1,218 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// List endpoints support two modes:
+//   page/limit  skip-based, with an exact count by default (fine for small collections)
+//   cursor      keyset pagination on the sort keys, started with ?paginate=cursor and
+//               continued with ?cursor=<nextCursor|prevCursor> (or ?after=)
+// ?count=exact|estimated|none controls the total; cursor mode skips it by default.
+// Documents with a null or missing sort key sort before every other value, as in MongoDB.
+
+const PAGINATION_PARAMS = ['page', 'limit', 'cursor', 'after', 'paginate', 'count'];
+
+// Sort with an _id tiebreaker so every document has a unique position
+const withTiebreaker = (sort) => {
+  if (sort._id !== undefined) {
+    return sort;
+  }
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : 1 };
+};
+
+// Cursors are base64url-encoded Extended JSON, so Dates and ObjectIds keep their types
+const encodeCursor = (doc, sort, direction) => {
+  const keys = Object.keys(sort);
+  const payload = {
+    s: keys.map(key => `${key}:${sort[key]}`),
+    v: keys.map(key => _.get(doc, key, null)),
+    d: direction
+  };
+  return Buffer.from(EJSON.stringify(payload, { relaxed: false })).toString('base64url');
+};
+
+const decodeCursor = (token, sort) => {
+  try {
+    const payload = EJSON.parse(Buffer.from(token, 'base64url').toString('utf8'), { relaxed: true });
+    const keys = Object.keys(sort);
+    const sameSort = Array.isArray(payload.s) &&
+      payload.s.length === keys.length &&
+      payload.s.every((entry, index) => entry === `${keys[index]}:${sort[keys[index]]}`);
+
+    if (!sameSort || !Array.isArray(payload.v) || !['next', 'prev'].includes(payload.d)) {
+      return null;
+    }
+    return { values: payload.v, direction: payload.d };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition for values of `key` after `value` (ascending) or before it. Null and missing
+// values sort lowest but do not compare with $gt/$lt, so they are handled separately
+// (except for _id, which every document has).
+const compareKey = (key, value, ascending) => {
+  if (value === null || value === undefined) {
+    // Nothing sorts below null
+    return ascending ? { [key]: { $ne: null } } : null;
+  }
+  if (ascending || key === '_id') {
+    return { [key]: { [ascending ? '$gt' : '$lt']: value } };
+  }
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+// Filter for documents positioned after (or before) the cursor values in sort order
+const buildKeysetFilter = (sort, values, backwards) => {
+  const keys = Object.keys(sort);
+
+  const clauses = keys.map((key, index) => {
+    const ascending = sort[key] === 1 ? !backwards : backwards;
+    const comparison = compareKey(key, values[index], ascending);
+    if (!comparison) {
+      return null;
+    }
+    const clause = {};
+    // Equality on null also matches missing fields
+    keys.slice(0, index).forEach((previous, i) => {
+      clause[previous] = values[i] ?? null;
+    });
+    return { ...clause, ...comparison };
+  }).filter(Boolean);
+
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Parse ?sort=-amount,name (newest first without one). Fields the caller may not read are
+// rejected: the order, and the cursors, would give their values away.
+// Returns { sort, errors } with errors shaped like filter errors.
+const parseSort = (value, { unreadableFields = [] } = {}) => {
+  const sort = {};
+  const errors = [];
+
+  if (!value) {
+    return { sort: { createdAt: -1 }, errors };
+  }
+
+  value.split(',').forEach(sortField => {
+    const descending = sortField.startsWith('-');
+    const field = descending ? sortField.substring(1) : sortField;
+    if (unreadableFields.includes(field.split('.')[0])) {
+      errors.push({ field, message: `Cannot sort on field '${field}'` });
+      return;
+    }
+    sort[field] = descending ? -1 : 1;
+  });
+
+  return { sort, errors };
+};
+
+// Read pagination options from the query string.
+// Returns { error } when the cursor is invalid or does not match the sort.
+const parsePagination = (query, sort) => {
+  const limit = parseInt(query.limit) || 10;
+  const token = query.cursor || query.after;
+  const fullSort = withTiebreaker(sort);
+
+  if (token || query.paginate === 'cursor') {
+    let cursor = null;
+    if (token) {
+      cursor = decodeCursor(token, fullSort);
+      if (!cursor) {
+        return { error: 'Invalid cursor, or cursor does not match the requested sort' };
+      }
+    }
+    return { mode: 'cursor', limit, sort: fullSort, cursor, count: query.count || 'none' };
+  }
+
+  return { mode: 'page', limit, sort, page: parseInt(query.page) || 1, count: query.count || 'exact' };
+};
+
+const countDocuments = async (model, filter, count) => {
+  if (count === 'exact') {
+    return { total: await model.countDocuments(filter) };
+  }
+  if (count === 'estimated') {
+    return { total: await model.estimatedDocumentCount(), estimated: true };
+  }
+  return {};
+};
+
+// Run a paginated find and build the pagination metadata
+const findPage = async (model, filter, fields, options) => {
+  const { mode, limit, sort, count } = options;
+
+  if (mode === 'page') {
+    const { page } = options;
+    const documents = await model.find(filter, fields)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const { total, estimated } = await countDocuments(model, filter, count);
+
+    return {
+      documents,
+      pagination: {
+        mode,
+        page,
+        limit,
+        ...(total !== undefined && { total, pages: Math.ceil(total / limit) }),
+        ...(estimated && { estimated })
+      }
+    };
+  }
+
+  const { cursor } = options;
+  const backwards = cursor?.direction === 'prev';
+
+  // The sort keys must be returned to build the next cursors
+  const projection = fields && Object.keys(fields).length > 0
+    ? { ...fields, ...Object.keys(sort).reduce((acc, key) => ({ ...acc, [key]: 1 }), {}) }
+    : fields;
+
+  const pageFilter = cursor
+    ? { $and: [filter, buildKeysetFilter(sort, cursor.values, backwards)] }
+    : filter;
+  const querySort = backwards ? _.mapValues(sort, direction => -direction) : sort;
+
+  let documents = await model.find(pageFilter, projection)
+    .sort(querySort)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = documents.length > limit;
+  documents = documents.slice(0, limit);
+  if (backwards) {
+    documents.reverse();
+  }
+
+  const first = documents[0];
+  const last = documents[documents.length - 1];
+  const hasNext = backwards ? !!cursor : hasMore;
+  const hasPrev = backwards ? hasMore : !!cursor;
+
+  const { total, estimated } = await countDocuments(model, filter, count);
+
+  return {
+    documents,
+    pagination: {
+      mode,
+      limit,
+      nextCursor: hasNext && last ? encodeCursor(last, sort, 'next') : null,
+      prevCursor: hasPrev && first ? encodeCursor(first, sort, 'prev') : null,
+      ...(total !== undefined && { total }),
+      ...(estimated && { estimated })
+    }
+  };
+};
+
+module.exports = {
+  PAGINATION_PARAMS,
+  buildKeysetFilter,
+  parseSort,
+  parsePagination,
+  findPage
+};
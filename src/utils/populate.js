@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Schema = require('../models/Schema');
+const { getModel } = require('../database/modelRegistry');
+const { hasScope } = require('../middleware/auth');
+const { isInternalCollection } = require('./internalCollections');
+const { buildAccessFilter, applyAccessFilter } = require('./accessRules');
+const { getUnreadableFields, stripHiddenFields } = require('./fieldPermissions');
+const { getFieldDefinition } = require('./filterParser');
+const { excludeDeleted } = require('./softDelete');
+
+// Reference population for read endpoints. Fields with a `ref` (ObjectId fields, or Array
+// fields whose items have one) name the collection they point to:
+//   ?populate=customer,merchant                 replace the ids with the documents
+//   ?populate=customer(name,email)              only return these fields of the customer
+//   ?populate=lines.product,order.customer      paths inside objects and arrays, and
+//                                               references of populated documents
+// The requested paths are resolved into a tree of collections first. Each tree node is then
+// fetched with one query for all the documents of the level above, applying the target
+// collection's scopes, access rules, soft delete and field permissions. References to
+// documents that are missing (or not visible to the caller) become null.
+
+const PATH_PATTERN = /^([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)(?:\(([^()]*)\))?$/;
+
+// Split on commas that are not inside parentheses
+const splitEntries = (value) => {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === ',' && depth === 0) {
+      entries.push(current);
+      current = '';
+      continue;
+    }
+    depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+    current += char;
+  }
+  entries.push(current);
+  return entries.map(entry => entry.trim()).filter(Boolean);
+};
+
+// 'customer(name,email),merchant' -> { specs: [{ path, fields }], errors }
+const parsePopulate = (value) => {
+  const specs = [];
+  const errors = [];
+
+  splitEntries(String(value)).forEach(entry => {
+    const match = entry.match(PATH_PATTERN);
+    if (!match) {
+      errors.push({ path: entry, message: `Invalid populate path '${entry}'` });
+      return;
+    }
+    const fields = match[2] !== undefined
+      ? match[2].split(',').map(field => field.trim()).filter(Boolean)
+      : null;
+    specs.push({ path: match[1], fields });
+  });
+
+  return { specs, errors };
+};
+
+const getReference = (field) => {
+  if (!field) {
+    return null;
+  }
+  return field.ref || (field.type === 'Array' ? field.items?.ref : null) || null;
+};
+
+const createNode = (collectionName, schemaDef, accessFilter) => ({
+  collectionName,
+  schemaDef,
+  accessFilter,
+  fields: null,
+  children: new Map()
+});
+
+// Resolve a ?populate= value against the schemas into a tree of collections to fetch.
+// Returns { tree, errors }; without a value the tree is empty.
+const resolvePopulate = async (req, schemaDef, value, { maxDepth = config.populate.maxDepth } = {}) => {
+  const tree = createNode(schemaDef?.collectionName, schemaDef, {});
+  if (!value) {
+    return { tree, errors: [] };
+  }
+  const { specs, errors } = parsePopulate(value);
+  const fail = (path, message) => errors.push({ path, message });
+
+  // Load the target of a reference, checking the caller may read it
+  const openNode = async (parent, localPath, ref, path) => {
+    if (parent.children.has(localPath)) {
+      return parent.children.get(localPath);
+    }
+    if (isInternalCollection(ref) && !hasScope(req.auth?.scopes, 'admin')) {
+      return fail(path, `Collection '${ref}' is internal to the API and requires the admin scope`);
+    }
+    if (!hasScope(req.auth?.scopes, `read:${ref}`)) {
+      return fail(path, `Missing required scope: read:${ref}`);
+    }
+    const targetDef = await Schema.getByCollectionName(ref);
+    const accessFilter = buildAccessFilter(targetDef, req, 'read');
+    if (!accessFilter) {
+      return fail(path, `Access denied: no access rule allows read on ${ref}`);
+    }
+    const node = createNode(targetDef?.collectionName || ref, targetDef, accessFilter);
+    parent.children.set(localPath, node);
+    return node;
+  };
+
+  for (const { path, fields } of specs) {
+    const segments = path.split('.');
+    let node = tree;
+    let localPath = '';
+    let depth = 0;
+    let failed = false;
+
+    for (const segment of segments) {
+      localPath = localPath ? `${localPath}.${segment}` : segment;
+      const field = getFieldDefinition(node.schemaDef, localPath);
+      if (!field || getUnreadableFields(node.schemaDef, req).includes(localPath.split('.')[0])) {
+        fail(path, `Unknown field '${localPath}' in ${node.collectionName}`);
+        failed = true;
+        break;
+      }
+
+      const ref = getReference(field);
+      if (!ref) {
+        continue;
+      }
+
+      depth++;
+      if (depth > maxDepth) {
+        fail(path, `Populate depth is limited to ${maxDepth}`);
+        failed = true;
+        break;
+      }
+      node = await openNode(node, localPath, ref, path);
+      if (!node) {
+        failed = true;
+        break;
+      }
+      localPath = '';
+    }
+
+    if (failed) {
+      continue;
+    }
+    if (localPath) {
+      fail(path, `'${path}' is not a reference`);
+      continue;
+    }
+    if (fields) {
+      const unreadable = getUnreadableFields(node.schemaDef, req);
+      const denied = fields.filter(field => unreadable.includes(field.split('.')[0]));
+      if (denied.length > 0) {
+        fail(path, `Unknown fields in ${node.collectionName}: ${denied.join(', ')}`);
+        continue;
+      }
+      node.fields = [...new Set([...(node.fields || []), ...fields])];
+    }
+  }
+
+  return { tree, errors };
+};
+
+const isReferenceId = (value) => value instanceof mongoose.Types.ObjectId ||
+  (typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && value.length === 24);
+
+// Call `fn` for every value at `path`, descending into objects and arrays
+const visitPath = (value, segments, fn, holder = null, key = null) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => visitPath(item, segments, fn, value, index));
+    return;
+  }
+  if (segments.length === 0) {
+    if (holder) {
+      fn(value, holder, key);
+    }
+    return;
+  }
+  if (value && typeof value === 'object' && !isReferenceId(value)) {
+    const [segment, ...rest] = segments;
+    visitPath(value[segment], rest, fn, value, segment);
+  }
+};
+
+const toPlainObject = (doc) => {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+};
+
+// Fetch the documents of every child of `node` referenced by `documents` and put them in place
+const populateNode = async (req, node, documents) => {
+  for (const [localPath, child] of node.children) {
+    const segments = localPath.split('.');
+    const ids = new Map();
+    documents.forEach(doc => visitPath(doc, segments, (value) => {
+      if (isReferenceId(value)) {
+        ids.set(String(value), value);
+      }
+    }));
+    if (ids.size === 0) {
+      continue;
+    }
+
+    // Fields selected for the child, plus the fields its own references need
+    const projection = {};
+    if (child.fields) {
+      [...child.fields, ...[...child.children.keys()].map(path => path.split('.')[0])]
+        .forEach(field => { projection[field] = 1; });
+    }
+
+    const model = getModel(child.collectionName, child.schemaDef);
+    const filter = excludeDeleted(child.schemaDef, applyAccessFilter(
+      { _id: { $in: [...ids.values()] } },
+      child.accessFilter
+    ));
+    const found = await model.find(filter, projection).lean();
+    await populateNode(req, child, found);
+
+    const byId = new Map(stripHiddenFields(child.schemaDef, req, found).map(doc => [String(doc._id), doc]));
+    documents.forEach(doc => visitPath(doc, segments, (value, holder, key) => {
+      if (isReferenceId(value)) {
+        holder[key] = byId.get(String(value)) || null;
+      }
+    }));
+  }
+};
+
+// Populate one document or an array of documents; returns plain objects
+const populateDocuments = async (req, tree, docs) => {
+  if (!docs || tree.children.size === 0) {
+    return docs;
+  }
+  const documents = (Array.isArray(docs) ? docs : [docs]).map(toPlainObject);
+  await populateNode(req, tree, documents);
+  return Array.isArray(docs) ? documents : documents[0];
+};
+
+// Send the response for a ?populate= that cannot be resolved
+const sendPopulateErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid populate',
+    errors
+  });
+};
+
+module.exports = {
+  parsePopulate,
+  resolvePopulate,
+  populateDocuments,
+  sendPopulateErrors
+};
@@ -0,0 +1,195 @@
+const _ = require('lodash');
+const config = require('../config');
+
+// Safety policy for POST /database/query. The request is checked before it reaches the
+// driver; every blocked construct is reported as { path, construct, reason }.
+
+// Operators that run server-side JavaScript
+const JAVASCRIPT_OPERATORS = ['$where', '$function', '$accumulator'];
+
+// Stages that write to a collection
+const WRITE_STAGES = ['$out', '$merge'];
+
+const DEFAULT_STAGES = [
+  '$match', '$project', '$addFields', '$set', '$unset', '$group', '$sort', '$limit', '$skip',
+  '$unwind', '$lookup', '$graphLookup', '$unionWith', '$count', '$facet', '$bucket', '$bucketAuto',
+  '$sortByCount', '$replaceRoot', '$replaceWith', '$sample', '$redact', '$densify', '$fill',
+  '$setWindowFields', '$geoNear'
+];
+
+// Options passed through to the driver, per operation
+const ALLOWED_OPTIONS = {
+  find: ['projection', 'sort', 'limit', 'skip', 'hint', 'collation', 'maxTimeMS', 'comment'],
+  findOne: ['projection', 'sort', 'skip', 'hint', 'collation', 'maxTimeMS', 'comment'],
+  count: ['limit', 'skip', 'hint', 'collation', 'maxTimeMS', 'comment'],
+  distinct: ['collation', 'maxTimeMS', 'comment'],
+  aggregate: ['allowDiskUse', 'hint', 'collation', 'maxTimeMS', 'comment', 'batchSize']
+};
+
+const getPolicy = () => {
+  const policy = config.queryPolicy;
+  return {
+    ...policy,
+    allowedStages: policy.allowedStages.length > 0 ? policy.allowedStages : DEFAULT_STAGES
+  };
+};
+
+const isCollectionAllowed = (policy, name) =>
+  policy.allowedCollections.length === 0 || policy.allowedCollections.includes(name);
+
+// Walk a query, projection or expression and check every $-prefixed key
+const checkOperators = (policy, value, path, violations) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => checkOperators(policy, item, `${path}[${index}]`, violations));
+    return;
+  }
+  if (!_.isPlainObject(value)) {
+    return;
+  }
+
+  Object.keys(value).forEach(key => {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (key.startsWith('$')) {
+      if (JAVASCRIPT_OPERATORS.includes(key)) {
+        violations.push({ path: keyPath, construct: key, reason: 'Server-side JavaScript is not allowed' });
+        return;
+      }
+      if (policy.allowedOperators.length > 0 && !policy.allowedOperators.includes(key)) {
+        violations.push({ path: keyPath, construct: key, reason: 'Operator is not in the allowed list' });
+        return;
+      }
+    }
+    checkOperators(policy, value[key], keyPath, violations);
+  });
+};
+
+// Collections a stage reads from or writes to
+const stageCollections = (name, spec) => {
+  if (['$lookup', '$graphLookup'].includes(name)) {
+    return [spec?.from];
+  }
+  if (name === '$unionWith') {
+    return [typeof spec === 'string' ? spec : spec?.coll];
+  }
+  if (name === '$out') {
+    return [typeof spec === 'string' ? spec : spec?.coll];
+  }
+  if (name === '$merge') {
+    return [typeof spec === 'string' ? spec : (typeof spec?.into === 'string' ? spec.into : spec?.into?.coll)];
+  }
+  return [];
+};
+
+const checkPipeline = (policy, pipeline, path, violations) => {
+  if (!Array.isArray(pipeline)) {
+    violations.push({ path, construct: 'pipeline', reason: 'Pipeline must be an array' });
+    return;
+  }
+
+  pipeline.forEach((stage, index) => {
+    const stagePath = `${path}[${index}]`;
+    const names = _.isPlainObject(stage) ? Object.keys(stage) : [];
+    if (names.length !== 1) {
+      violations.push({ path: stagePath, construct: 'stage', reason: 'Each stage must have exactly one operator' });
+      return;
+    }
+
+    const name = names[0];
+    const spec = stage[name];
+
+    if (WRITE_STAGES.includes(name) && policy.readOnly) {
+      violations.push({ path: stagePath, construct: name, reason: 'Write stages are not allowed in read-only mode' });
+      return;
+    }
+    if (!WRITE_STAGES.includes(name) && !policy.allowedStages.includes(name)) {
+      violations.push({ path: stagePath, construct: name, reason: 'Stage is not in the allowed list' });
+      return;
+    }
+
+    stageCollections(name, spec).filter(Boolean).forEach(target => {
+      if (!isCollectionAllowed(policy, target)) {
+        violations.push({ path: stagePath, construct: name, reason: `Collection '${target}' is not allowed` });
+      }
+    });
+
+    // Sub-pipelines are checked as pipelines, everything else as expressions
+    if (name === '$facet' && _.isPlainObject(spec)) {
+      Object.keys(spec).forEach(facet => checkPipeline(policy, spec[facet], `${stagePath}.$facet.${facet}`, violations));
+      return;
+    }
+    if (['$lookup', '$unionWith'].includes(name) && Array.isArray(spec?.pipeline)) {
+      checkOperators(policy, _.omit(spec, 'pipeline'), `${stagePath}.${name}`, violations);
+      checkPipeline(policy, spec.pipeline, `${stagePath}.${name}.pipeline`, violations);
+      return;
+    }
+    if (name === '$merge' && Array.isArray(spec?.whenMatched)) {
+      checkPipeline(policy, spec.whenMatched, `${stagePath}.$merge.whenMatched`, violations);
+      return;
+    }
+    checkOperators(policy, spec, `${stagePath}.${name}`, violations);
+  });
+};
+
+// Check a raw query request and return the options to run it with.
+// Returns { violations } when the request is blocked.
+const applyQueryPolicy = ({ collection, operation, query = {}, options = {} }) => {
+  const policy = getPolicy();
+  const violations = [];
+
+  if (!isCollectionAllowed(policy, collection)) {
+    violations.push({ path: 'collection', construct: collection, reason: 'Collection is not allowed' });
+  }
+
+  Object.keys(options).forEach(option => {
+    if (!ALLOWED_OPTIONS[operation].includes(option)) {
+      violations.push({ path: `options.${option}`, construct: option, reason: `Option is not allowed for ${operation}` });
+    }
+  });
+  checkOperators(policy, options.projection, 'options.projection', violations);
+  checkOperators(policy, options.sort, 'options.sort', violations);
+
+  if (operation === 'aggregate') {
+    checkPipeline(policy, query.pipeline || [], 'query.pipeline', violations);
+  } else if (operation === 'distinct') {
+    checkOperators(policy, query.query || {}, 'query.query', violations);
+  } else {
+    checkOperators(policy, query, 'query', violations);
+  }
+
+  if (violations.length > 0) {
+    return { violations };
+  }
+
+  // Cap the run time and the number of documents returned
+  const safeOptions = {
+    ...options,
+    maxTimeMS: Math.min(parseInt(options.maxTimeMS) || policy.maxTimeMS, policy.maxTimeMS)
+  };
+  if (operation === 'find') {
+    safeOptions.limit = Math.min(parseInt(options.limit) || policy.maxResults + 1, policy.maxResults + 1);
+  }
+
+  // One extra document tells the caller the result was truncated. A write stage must stay
+  // last, so pipelines ending in $out/$merge are left as they are.
+  let pipeline;
+  if (operation === 'aggregate') {
+    pipeline = query.pipeline || [];
+    const lastStage = Object.keys(pipeline[pipeline.length - 1] || {})[0];
+    if (!WRITE_STAGES.includes(lastStage)) {
+      pipeline = [...pipeline, { $limit: policy.maxResults + 1 }];
+    }
+  }
+
+  return { options: safeOptions, pipeline, maxResults: policy.maxResults };
+};
+
+const sendPolicyViolations = (res, violations) => res.status(403).json({
+  success: false,
+  message: 'Query rejected by policy',
+  violations
+});
+
+module.exports = {
+  applyQueryPolicy,
+  sendPolicyViolations
+};
@@ -0,0 +1,248 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Restoring a collection from a backup. Documents are matched to the live collection by _id:
+//   replace         make the collection match the backup: upsert every document and
+//                   remove documents that are not in the backup
+//   merge           upsert every document by _id, leave other documents alone
+//   insert-missing  only insert documents whose _id does not exist yet
+// A dry run classifies every document the same way without writing anything.
+// Documents without an _id cannot be matched, so they are reported as failed instead of
+// being given a new one (which would duplicate them on every merge).
+// Replace mode stages the restored ids in a temporary restore_staging.<run> collection and
+// then sweeps the live collection in batches, so the backup's size is not limited by memory.
+// A dry run writes nothing, not even the staging collection, so it keeps the ids in memory.
+
+const RESTORE_MODES = ['replace', 'merge', 'insert-missing'];
+
+const BATCH_SIZE = 500;
+
+const isSameDocument = (a, b) => _.isEqual(EJSON.serialize(a), EJSON.serialize(b));
+
+const getOperationId = (operation) => (operation?.insertOne?.document || operation?.replaceOne?.replacement)?._id;
+
+// Reports list the first 100 errors; the counts cover all of them
+const MAX_REPORTED_ERRORS = 100;
+
+const reportError = (report, entry) => {
+  if (report.errors.length < MAX_REPORTED_ERRORS) {
+    report.errors.push(entry);
+  }
+};
+
+// Classify one batch against the live documents and write it unless dry run
+const restoreBatch = async (collection, batch, { mode, dryRun }, report) => {
+  const existing = await collection.find({ _id: { $in: batch.map(doc => doc._id) } }).toArray();
+  const existingById = new Map(existing.map(doc => [EJSON.stringify(doc._id), doc]));
+
+  const operations = [];
+  batch.forEach(doc => {
+    const current = existingById.get(EJSON.stringify(doc._id));
+
+    if (!current) {
+      report.added++;
+      operations.push({ insertOne: { document: doc } });
+    } else if (isSameDocument(current, doc)) {
+      report.unchanged++;
+    } else if (mode === 'insert-missing') {
+      report.skipped++;
+    } else {
+      report.changed++;
+      operations.push({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } });
+    }
+  });
+
+  if (!dryRun && operations.length > 0) {
+    try {
+      // Documents are restored as they were backed up, even if the validator changed since
+      await collection.bulkWrite(operations, { ordered: false, bypassDocumentValidation: true });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      // Unordered writes continue past failures such as unique index conflicts
+      const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+      report.failed += writeErrors.length;
+      writeErrors.forEach(writeError => {
+        reportError(report, { _id: getOperationId(operations[writeError.index]), error: writeError.errmsg });
+      });
+    }
+  }
+};
+
+// Create the backup's indexes; failures are reported, not ignored
+const restoreIndexes = async (collection, indexes = [], dryRun) => {
+  const result = { created: [], existing: [], failed: [] };
+  const current = await collection.indexes().catch(() => []);
+
+  for (const index of indexes) {
+    if (index.name === '_id_') {
+      continue;
+    }
+    if (current.some(existing => existing.name === index.name && isSameDocument(existing.key, index.key))) {
+      result.existing.push(index.name);
+      continue;
+    }
+    if (dryRun) {
+      result.created.push(index.name);
+      continue;
+    }
+
+    // Backups list index options next to the key (unique, sparse, ...); older ones nest them
+    const { key, v, ns, options, ...inlineOptions } = index;
+    try {
+      await collection.createIndex(key, { ...inlineOptions, ...options });
+      result.created.push(index.name);
+    } catch (error) {
+      result.failed.push({ name: index.name, key, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Options that can be changed on an existing collection with collMod
+const MODIFIABLE_OPTIONS = ['validator', 'validationLevel', 'validationAction'];
+
+// Create the collection with the backup's options (capped, validator, collation, ...), or
+// bring the validator of an existing collection in line with the backup
+const restoreOptions = async (db, name, options = {}, dryRun) => {
+  const [existing] = await db.listCollections({ name }).toArray();
+
+  if (!existing) {
+    if (!dryRun) {
+      await db.createCollection(name, options);
+    }
+    return { created: true, applied: Object.keys(options), ignored: [] };
+  }
+
+  const current = existing.options || {};
+  const changed = Object.keys(options).filter(key => !_.isEqual(
+    EJSON.serialize(options[key]),
+    EJSON.serialize(current[key])
+  ));
+  const applied = changed.filter(key => MODIFIABLE_OPTIONS.includes(key));
+  // Options such as capped or collation cannot change on an existing collection
+  const ignored = changed.filter(key => !MODIFIABLE_OPTIONS.includes(key));
+
+  if (!dryRun && applied.length > 0) {
+    await db.command({ collMod: name, ..._.pick(options, applied) });
+  }
+  return { created: false, applied, ignored };
+};
+
+// Remember the ids of a restored batch for the replace sweep
+const stageIds = async (staging, batch) => {
+  try {
+    await staging.insertMany(batch.map(doc => ({ _id: doc._id })), { ordered: false });
+  } catch (error) {
+    // The same _id twice in a backup is staged once
+    if (!error.writeErrors) {
+      throw error;
+    }
+  }
+};
+
+// The ids restored so far, for the replace sweep: staged in a temporary collection on a real
+// run, held in memory on a dry run. `findIn` returns which of the given ids were restored.
+const createRestoredIds = (db, dryRun) => {
+  if (dryRun) {
+    const ids = new Set();
+    return {
+      add: async (batch) => batch.forEach(doc => ids.add(EJSON.stringify(doc._id))),
+      findIn: async (batch) => new Set(batch.map(id => EJSON.stringify(id)).filter(key => ids.has(key))),
+      drop: async () => {}
+    };
+  }
+
+  const staging = db.collection(`restore_staging.${new mongoose.Types.ObjectId()}`);
+  return {
+    add: (batch) => stageIds(staging, batch),
+    findIn: async (batch) => {
+      const staged = await staging.find({ _id: { $in: batch } }).toArray();
+      return new Set(staged.map(doc => EJSON.stringify(doc._id)));
+    },
+    drop: () => staging.drop().catch(() => {})
+  };
+};
+
+// Remove (or count, on a dry run) the live documents whose ids were not restored
+const sweepUnrestored = async (collection, restoredIds, dryRun) => {
+  let removed = 0;
+  let batch = [];
+
+  const sweep = async () => {
+    const restored = await restoredIds.findIn(batch);
+    const extra = batch.filter(id => !restored.has(EJSON.stringify(id)));
+    batch = [];
+    if (extra.length === 0) {
+      return;
+    }
+    removed += dryRun
+      ? extra.length
+      : (await collection.deleteMany({ _id: { $in: extra } })).deletedCount;
+  };
+
+  for await (const { _id } of collection.find({}, { projection: { _id: 1 } })) {
+    batch.push(_id);
+    if (batch.length >= BATCH_SIZE) {
+      await sweep();
+    }
+  }
+  if (batch.length > 0) {
+    await sweep();
+  }
+  return removed;
+};
+
+// Restore one collection from an iterable (or async iterable) of documents
+const restoreCollection = async (db, name, { documents, indexes, options }, { mode, dryRun = false }) => {
+  const collection = db.collection(name);
+  const report = { collection: name, mode, dryRun, added: 0, changed: 0, unchanged: 0, skipped: 0, removed: 0, failed: 0, errors: [] };
+  report.options = await restoreOptions(db, name, options, dryRun);
+  const restoredIds = mode === 'replace' ? createRestoredIds(db, dryRun) : null;
+  let batch = [];
+
+  const flush = async () => {
+    await restoreBatch(collection, batch, { mode, dryRun }, report);
+    if (restoredIds) {
+      await restoredIds.add(batch);
+    }
+    batch = [];
+  };
+
+  try {
+    for await (const doc of documents) {
+      if (doc._id === undefined || doc._id === null) {
+        report.failed++;
+        reportError(report, { _id: null, error: 'Document has no _id, so it cannot be matched to the live collection' });
+        continue;
+      }
+      batch.push(doc);
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    if (restoredIds) {
+      report.removed = await sweepUnrestored(collection, restoredIds, dryRun);
+    }
+  } finally {
+    if (restoredIds) {
+      await restoredIds.drop();
+    }
+  }
+
+  report.indexes = await restoreIndexes(collection, indexes, dryRun);
+  return report;
+};
+
+module.exports = {
+  RESTORE_MODES,
+  restoreCollection
+};
@@ -0,0 +1,486 @@
+const _ = require('lodash');
+const Schema = require('../models/Schema');
+const SchemaVersion = require('../models/SchemaVersion');
+const { invalidateModel } = require('../database/modelRegistry');
+const { recordAudit } = require('./audit');
+const { DEFINITION_FIELDS, snapshotDefinition, diffDefinitions, recordSchemaVersion } = require('./schemaVersions');
+const { syncValidator } = require('./jsonSchemaValidator');
+const { FIELD_TYPES, GEO_TYPES } = require('./fieldTypes');
+
+// Importing Schema definitions. A source is one of:
+//   native      the document written by GET /schemas/export/:id
+//   jsonschema  a JSON Schema object (also a MongoDB { $jsonSchema } validator)
+//   openapi     an OpenAPI 3 document; every object schema in components.schemas is imported
+// JSON Schema keywords that have no Schema equivalent are reported per source in `unmapped`.
+// When a collection already has a schema, `conflict` decides what happens:
+//   skip       leave the existing schema alone
+//   overwrite  replace it; its version history starts again at 1
+//   version    store the import as the next version of the existing schema
+
+const SOURCE_FORMATS = ['native', 'jsonschema', 'openapi'];
+const CONFLICT_MODES = ['skip', 'overwrite', 'version'];
+
+const JSON_TYPES = {
+  string: 'String',
+  integer: 'Number',
+  number: 'Number',
+  boolean: 'Boolean',
+  array: 'Array',
+  object: 'Object'
+};
+
+const BSON_TYPES = {
+  string: 'String',
+  int: 'Number',
+  long: 'Number',
+  double: 'Number',
+  number: 'Number',
+  bool: 'Boolean',
+  date: 'Date',
+  objectId: 'ObjectId',
+  array: 'Array',
+  object: 'Object',
+  decimal: 'Decimal128',
+  binData: 'Binary'
+};
+
+// String formats with a field type of their own
+const STRING_FORMATS = {
+  date: 'Date',
+  'date-time': 'Date',
+  uuid: 'UUID',
+  byte: 'Binary',
+  binary: 'Binary'
+};
+
+// Keywords handled when mapping a property; anything else is reported
+const PROPERTY_KEYWORDS = [
+  'type', 'bsonType', 'format', 'nullable', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength',
+  'pattern', 'default', 'title', 'description', 'readOnly', 'properties', 'items', 'required',
+  'example', 'examples', '$comment'
+];
+
+// Keywords handled at the top of an object schema
+const OBJECT_KEYWORDS = [
+  'type', 'bsonType', 'properties', 'required', 'title', 'description', '$schema', '$id', '$defs',
+  'definitions', 'example', 'examples', '$comment'
+];
+
+const detectFormat = (source) => {
+  if (typeof source?.openapi === 'string') {
+    return 'openapi';
+  }
+  if (typeof source?.collectionName === 'string' && Array.isArray(source.fields)) {
+    return 'native';
+  }
+  if (source?.$jsonSchema || source?.validator?.$jsonSchema || source?.properties || source?.$schema) {
+    return 'jsonschema';
+  }
+  return null;
+};
+
+// OrderItem -> order_item
+const toCollectionName = (name) => _.snakeCase(name);
+
+// Resolve a local reference such as #/components/schemas/Address
+const resolveRef = (ref, ctx, path) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    ctx.unmapped.push(`${path}: external reference ${ref} not resolved`);
+    return null;
+  }
+  const target = _.get(ctx.root, ref.slice(2).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~')));
+  if (!target) {
+    ctx.unmapped.push(`${path}: reference ${ref} not found`);
+  }
+  return target || null;
+};
+
+// Inline $ref and allOf, so the mapping only sees plain keywords
+const expandSchema = (schema, ctx, path, seen = []) => {
+  if (!_.isPlainObject(schema)) {
+    return {};
+  }
+
+  let expanded = schema;
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) {
+      ctx.unmapped.push(`${path}: circular reference ${schema.$ref} stored as Mixed`);
+      return {};
+    }
+    const { $ref, ...siblings } = schema;
+    expanded = { ...expandSchema(resolveRef($ref, ctx, path), ctx, path, [...seen, $ref]), ...siblings };
+  }
+
+  if (Array.isArray(expanded.allOf)) {
+    const { allOf, ...rest } = expanded;
+    expanded = [...allOf.map(part => expandSchema(part, ctx, path, seen)), rest].reduce((merged, part) => ({
+      ...merged,
+      ...part,
+      properties: { ...merged.properties, ...part.properties },
+      required: _.union(merged.required || [], part.required || [])
+    }), {});
+    if (Object.keys(expanded.properties).length === 0) {
+      delete expanded.properties;
+    }
+    if (expanded.required.length === 0) {
+      delete expanded.required;
+    }
+  }
+
+  return expanded;
+};
+
+// Field type for a property schema
+const mapType = (schema, ctx, path) => {
+  const table = schema.bsonType !== undefined ? BSON_TYPES : JSON_TYPES;
+  let types = [].concat(schema.bsonType ?? schema.type ?? []).filter(type => type !== 'null');
+
+  // An enum without a type takes the type of its values
+  if (types.length === 0 && Array.isArray(schema.enum)) {
+    types = _.uniq(schema.enum.filter(value => value !== null).map(value => (typeof value === 'number' ? 'number' : typeof value)));
+  }
+  if (types.length === 0) {
+    if (schema.properties) {
+      return 'Object';
+    }
+    return 'Mixed';
+  }
+  if (types.length > 1) {
+    ctx.unmapped.push(`${path}: multiple types (${types.join(', ')}) stored as Mixed`);
+    return 'Mixed';
+  }
+
+  const type = table[types[0]];
+  if (!type) {
+    ctx.unmapped.push(`${path}: type '${types[0]}' stored as Mixed`);
+    return 'Mixed';
+  }
+  if (types[0] === 'integer') {
+    ctx.unmapped.push(`${path}: integer stored as Number`);
+  }
+  if (type === 'String' && STRING_FORMATS[schema.format]) {
+    return STRING_FORMATS[schema.format];
+  }
+  if (schema.format) {
+    ctx.unmapped.push(`${path}: format '${schema.format}' not enforced`);
+  }
+  return type;
+};
+
+// Type and constraints of a property or array item schema; `path` names it in `unmapped`
+const mapDefinition = (rawSchema, ctx, path) => {
+  const schema = expandSchema(rawSchema, ctx, path);
+  const definition = { type: mapType(schema, ctx, path) };
+
+  if (schema.description || schema.title) {
+    definition.description = schema.description || schema.title;
+  }
+  if (Array.isArray(schema.enum)) {
+    const values = schema.enum.filter(value => value !== null);
+    if (values.every(value => typeof value === 'string')) {
+      definition.enum = values;
+    } else {
+      ctx.unmapped.push(`${path}: enum with non-string values not enforced`);
+    }
+  }
+  ['minimum', 'maximum'].forEach(keyword => {
+    if (typeof schema[keyword] === 'number') {
+      definition[keyword === 'minimum' ? 'min' : 'max'] = schema[keyword];
+    }
+  });
+  ['minLength', 'maxLength'].forEach(keyword => {
+    if (typeof schema[keyword] === 'number') {
+      definition[keyword] = schema[keyword];
+    }
+  });
+  if (typeof schema.pattern === 'string') {
+    definition.pattern = schema.pattern;
+  }
+  if (schema.default !== undefined) {
+    definition.default = schema.default;
+  }
+
+  // GeoJSON geometries: { type: { enum: ['Point'] }, coordinates: ... }
+  const geoType = GEO_TYPES.find(candidate => _.isEqual(schema.properties?.type?.enum, [candidate]));
+  if (definition.type === 'Object' && geoType && schema.properties.coordinates) {
+    definition.type = geoType;
+  }
+  // Objects with only additionalProperties are maps
+  const isMap = definition.type === 'Object' && !schema.properties && _.isPlainObject(schema.additionalProperties);
+  if (isMap) {
+    definition.type = 'Map';
+    if (Object.keys(schema.additionalProperties).length > 0) {
+      definition.items = mapDefinition(schema.additionalProperties, ctx, `${path}{}`).definition;
+    }
+  }
+
+  // Nested objects and array items map to nested field definitions
+  if (definition.type === 'Object' && _.isPlainObject(schema.properties) && Object.keys(schema.properties).length > 0) {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    definition.fields = Object.entries(schema.properties)
+      .map(([name, property]) => mapProperty(name, property, required.includes(name), ctx, `${path}.${name}`));
+  }
+  if (definition.type === 'Array' && _.isPlainObject(schema.items) && Object.keys(schema.items).length > 0) {
+    definition.items = mapDefinition(schema.items, ctx, `${path}[]`).definition;
+  }
+  if (Array.isArray(schema.items)) {
+    ctx.unmapped.push(`${path}: tuple items not enforced`);
+  }
+
+  Object.keys(schema)
+    .filter(keyword => !PROPERTY_KEYWORDS.includes(keyword) && !keyword.startsWith('x-'))
+    .filter(keyword => !(isMap && keyword === 'additionalProperties'))
+    .forEach(keyword => ctx.unmapped.push(`${path}: '${keyword}' not mapped`));
+
+  return { schema, definition };
+};
+
+const mapProperty = (name, rawSchema, required, ctx, path = name) => {
+  const { schema, definition } = mapDefinition(rawSchema, ctx, path);
+  const field = { name, ...definition, required };
+  if (schema.readOnly === true) {
+    field.readOnly = true;
+  }
+  return field;
+};
+
+// Fields for an object schema; returns null when the schema does not describe an object
+const mapObjectSchema = (rawSchema, ctx) => {
+  const schema = expandSchema(rawSchema, ctx, '(root)');
+  const types = [].concat(schema.bsonType ?? schema.type ?? []);
+  if (!schema.properties && !types.includes('object')) {
+    return null;
+  }
+
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const fields = Object.entries(schema.properties || {})
+    .filter(([name]) => !['_id', '__v', 'createdAt', 'updatedAt'].includes(name))
+    .map(([name, property]) => mapProperty(name, property, required.includes(name), ctx));
+
+  if (schema.additionalProperties === false) {
+    ctx.unmapped.push('(root): additionalProperties false not enforced, other fields stay allowed');
+  }
+  Object.keys(schema)
+    .filter(keyword => !OBJECT_KEYWORDS.includes(keyword) && keyword !== 'additionalProperties' && !keyword.startsWith('x-'))
+    .forEach(keyword => ctx.unmapped.push(`(root): '${keyword}' not mapped`));
+
+  return { schema, fields };
+};
+
+const fromJsonSchema = (source, { collectionName, label }) => {
+  const root = source.$jsonSchema || source.validator?.$jsonSchema || source;
+  const ctx = { root: source, unmapped: [] };
+  const name = collectionName || root['x-collection'] || (root.title && toCollectionName(root.title));
+  const mapped = mapObjectSchema(root, ctx);
+
+  const errors = [];
+  if (!name) {
+    errors.push('No collection name: pass ?collectionName= or set title or x-collection');
+  }
+  if (!mapped) {
+    errors.push('Not an object schema');
+  }
+
+  return {
+    source: label,
+    collectionName: name ? name.toLowerCase() : null,
+    definition: mapped && {
+      displayName: root.title || _.startCase(name),
+      description: root.description,
+      fields: mapped.fields
+    },
+    unmapped: ctx.unmapped,
+    errors
+  };
+};
+
+const fromOpenApi = (source, { components, label }) => {
+  if (!String(source.openapi).startsWith('3')) {
+    return [{ source: label, collectionName: null, definition: null, unmapped: [], errors: [`OpenAPI ${source.openapi} is not supported, only 3.x`] }];
+  }
+
+  const schemas = source.components?.schemas || {};
+  const names = components?.length > 0 ? components : Object.keys(schemas);
+
+  return names.map(componentName => {
+    const componentLabel = `${label}#/components/schemas/${componentName}`;
+    const component = schemas[componentName];
+    if (!component) {
+      return { source: componentLabel, collectionName: null, definition: null, unmapped: [], errors: ['Component not found'] };
+    }
+
+    const ctx = { root: source, unmapped: [] };
+    const mapped = mapObjectSchema(component, ctx);
+    const name = (component['x-collection'] || toCollectionName(componentName)).toLowerCase();
+
+    return {
+      source: componentLabel,
+      collectionName: name,
+      definition: mapped && {
+        displayName: component.title || _.startCase(componentName),
+        description: component.description,
+        fields: mapped.fields
+      },
+      unmapped: ctx.unmapped,
+      // Without a component filter, enum and scalar components are only used through $ref
+      errors: mapped ? [] : ['Not an object schema'],
+      ignorable: !mapped && !(components?.length > 0)
+    };
+  }).filter(candidate => !candidate.ignorable).map(({ ignorable, ...candidate }) => candidate);
+};
+
+// Field and item definitions with a type the Schema model does not know
+const findUnknownTypes = (fields, prefix = '') => fields.flatMap(field => {
+  const path = prefix ? `${prefix}.${field.name}` : field.name;
+  return findUnknownDefinitionTypes(field, path);
+});
+
+const findUnknownDefinitionTypes = (definition, path) => [
+  ...(FIELD_TYPES.includes(definition.type) ? [] : [`Field ${path}: unknown type '${definition.type}'`]),
+  ...findUnknownTypes(definition.fields || [], path),
+  ...(definition.items ? findUnknownDefinitionTypes(definition.items, `${path}[]`) : [])
+];
+
+const fromNative = (source, { label }) => {
+  const definition = snapshotDefinition(source);
+  const errors = findUnknownTypes(definition.fields || []);
+
+  return {
+    source: label,
+    collectionName: source.collectionName.toLowerCase(),
+    definition,
+    unmapped: [],
+    errors
+  };
+};
+
+// Turn the sources of an import into candidate definitions, one per schema to import
+const readSources = (sources, { format, collectionName, components }) => sources.flatMap((source, index) => {
+  const label = `sources[${index}]`;
+  const sourceFormat = format || detectFormat(source);
+
+  switch (sourceFormat) {
+    case 'native':
+      return typeof source?.collectionName === 'string'
+        ? [fromNative(source, { label })]
+        : [{ source: label, collectionName: null, definition: null, unmapped: [], errors: ['collectionName is required'] }];
+    case 'jsonschema':
+      return [fromJsonSchema(source, { collectionName: sources.length === 1 ? collectionName : null, label })];
+    case 'openapi':
+      return fromOpenApi(source, { components, label });
+    default:
+      return [{ source: label, collectionName: null, definition: null, unmapped: [], errors: ['Unrecognized source format'] }];
+  }
+});
+
+// Check a candidate against the Schema model without saving it
+const validateCandidate = async (candidate) => {
+  if (candidate.errors.length > 0) {
+    return candidate.errors;
+  }
+  try {
+    await new Schema({ ...candidate.definition, collectionName: candidate.collectionName }).validate();
+    return [];
+  } catch (error) {
+    return error.errors ? Object.values(error.errors).map(item => item.message) : [error.message];
+  }
+};
+
+// Store one candidate according to the conflict mode; returns its status
+const importCandidate = async (req, { collectionName, definition }, { conflict, dryRun }) => {
+  const existing = await Schema.findOne({ collectionName });
+
+  if (!existing) {
+    if (dryRun) {
+      return { status: 'created' };
+    }
+    const schema = await Schema.create({ ...definition, collectionName });
+    invalidateModel(collectionName);
+    await recordSchemaVersion(req, schema);
+    const validatorSync = await syncValidator(schema);
+    await recordAudit(req, { action: 'schema.import', collectionName, after: schema });
+    return { status: 'created', id: schema._id, version: schema.version, ...(validatorSync && { validatorSync }) };
+  }
+
+  if (conflict === 'skip') {
+    return { status: 'skipped', id: existing._id, version: existing.version };
+  }
+
+  const before = existing.toObject();
+  const wasEnabled = before.isActive && !!before.nativeValidation?.enabled;
+  const previousDefinition = snapshotDefinition(existing);
+  const previousVersion = existing.version || 1;
+
+  // Parts of the definition missing from the import go back to their defaults
+  const replacement = new Schema({ ...definition, collectionName }).toObject();
+  DEFINITION_FIELDS.forEach(key => existing.set(key, replacement[key]));
+  existing.isActive = true;
+
+  const definitionChanged = diffDefinitions(previousDefinition, snapshotDefinition(existing)).length > 0;
+  if (conflict === 'version' && !definitionChanged && before.isActive) {
+    return { status: 'unchanged', id: existing._id, version: previousVersion };
+  }
+
+  const status = conflict === 'overwrite' ? 'overwritten' : 'versioned';
+  existing.version = conflict === 'overwrite' ? 1 : previousVersion + (definitionChanged ? 1 : 0);
+  if (dryRun) {
+    return { status, id: existing._id, version: existing.version };
+  }
+
+  existing.updatedAt = new Date();
+  await existing.save();
+  invalidateModel(collectionName);
+
+  if (conflict === 'overwrite') {
+    await SchemaVersion.deleteMany({ schemaId: existing._id });
+    await recordSchemaVersion(req, existing);
+  } else if (definitionChanged) {
+    await recordSchemaVersion(req, existing, previousDefinition, previousVersion);
+  }
+  const validatorSync = await syncValidator(existing, { wasEnabled });
+  await recordAudit(req, { action: 'schema.import', collectionName, before, after: existing });
+
+  return { status, id: existing._id, version: existing.version, ...(validatorSync && { validatorSync }) };
+};
+
+// Import every schema described by `sources`; a failing schema does not stop the others
+const importSchemas = async (req, sources, { format, collectionName, components, conflict = 'skip', dryRun = false }) => {
+  const candidates = readSources(sources, { format, collectionName, components });
+  const summary = { created: 0, versioned: 0, overwritten: 0, unchanged: 0, skipped: 0, failed: 0 };
+  const seen = new Set();
+  const results = [];
+
+  for (const candidate of candidates) {
+    const errors = await validateCandidate(candidate);
+    if (errors.length === 0 && seen.has(candidate.collectionName)) {
+      errors.push(`${candidate.collectionName} appears more than once in this import`);
+    }
+    seen.add(candidate.collectionName);
+
+    const result = { source: candidate.source, collectionName: candidate.collectionName, unmapped: candidate.unmapped };
+    if (errors.length > 0) {
+      summary.failed++;
+      results.push({ ...result, status: 'failed', errors });
+      continue;
+    }
+
+    try {
+      const outcome = await importCandidate(req, candidate, { conflict, dryRun });
+      summary[outcome.status]++;
+      results.push({ ...result, ...outcome });
+    } catch (error) {
+      summary.failed++;
+      results.push({ ...result, status: 'failed', errors: [error.message] });
+    }
+  }
+
+  return { dryRun, conflict, summary, results };
+};
+
+module.exports = {
+  SOURCE_FORMATS,
+  CONFLICT_MODES,
+  detectFormat,
+  readSources,
+  importSchemas
+};
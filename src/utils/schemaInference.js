@@ -0,0 +1,214 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const { GEO_TYPES } = require('./fieldTypes');
+
+const { Binary } = mongoose.mongo.BSON;
+
+// Draft Schema definitions inferred from the documents already in a collection. A sample of
+// documents is walked path by path, counting how often each path occurs and with which
+// types; the counts are then turned into Schema fields:
+//   - the type seen for every non-null value, or Mixed when values disagree
+//   - required when the path is present and non-null in every sampled document
+//   - an enum for strings with few distinct values that repeat
+// Objects get nested `fields` and arrays an `items` definition, inferred the same way;
+// `structure` repeats the nested parts with how often each path was present. Existing
+// indexes are carried over as field flags or as compound indexes.
+
+const DEFAULT_SAMPLE_SIZE = 1000;
+const DEFAULT_ENUM_MAX_VALUES = 10;
+
+// Managed by the generated mongoose schema, not declared as fields
+const MANAGED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const getValueType = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return 'Array';
+  }
+  if (value instanceof Date) {
+    return 'Date';
+  }
+  switch (typeof value) {
+    case 'string':
+      return 'String';
+    case 'number':
+      return 'Number';
+    case 'boolean':
+      return 'Boolean';
+    default:
+      break;
+  }
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'Decimal128') {
+    return value._bsontype;
+  }
+  if (value._bsontype === 'Binary') {
+    return value.sub_type === Binary.SUBTYPE_UUID ? 'UUID' : 'Binary';
+  }
+  // Other BSON values (Long, Timestamp, ...) have no matching field type
+  if (value._bsontype) {
+    return 'Mixed';
+  }
+  if (GEO_TYPES.includes(value.type) && Array.isArray(value.coordinates)) {
+    return value.type;
+  }
+  return _.isPlainObject(value) ? 'Object' : 'Mixed';
+};
+
+const createStats = () => ({ count: 0, nullCount: 0, types: new Set(), values: new Set(), tooManyValues: false, children: new Map(), items: null });
+
+// Record one value under `stats`, descending into objects and array elements
+const recordValue = (stats, value, enumMaxValues) => {
+  stats.count++;
+  const type = getValueType(value);
+  if (!type) {
+    stats.nullCount++;
+    return;
+  }
+  stats.types.add(type);
+
+  if (type === 'String' && !stats.tooManyValues) {
+    stats.values.add(value);
+    stats.tooManyValues = stats.values.size > enumMaxValues;
+  }
+  if (type === 'Object') {
+    recordObject(stats, value, enumMaxValues);
+  }
+  if (type === 'Array') {
+    stats.items = stats.items || createStats();
+    value.forEach(item => recordValue(stats.items, item, enumMaxValues));
+  }
+};
+
+const recordObject = (stats, object, enumMaxValues, skip = []) => {
+  stats.objectCount = (stats.objectCount || 0) + 1;
+  Object.entries(object).forEach(([key, value]) => {
+    if (skip.includes(key)) {
+      return;
+    }
+    if (!stats.children.has(key)) {
+      stats.children.set(key, createStats());
+    }
+    recordValue(stats.children.get(key), value, enumMaxValues);
+  });
+};
+
+// Field definition for one path; `parentCount` is how many objects the path could occur in
+const describeField = (name, stats, parentCount, enumMaxValues) => {
+  const types = [...stats.types];
+  const field = {
+    name,
+    type: types.length === 1 ? types[0] : 'Mixed',
+    required: stats.count === parentCount && stats.nullCount === 0
+  };
+
+  const nonNullCount = stats.count - stats.nullCount;
+  if (field.type === 'String' && !stats.tooManyValues && stats.values.size > 0 && nonNullCount >= stats.values.size * 2) {
+    field.enum = [...stats.values].sort();
+  }
+
+  const presence = parentCount > 0 ? stats.count / parentCount : 0;
+  const summary = { name, type: field.type, required: field.required, presence: Math.round(presence * 1000) / 1000 };
+  if (types.length > 1) {
+    summary.types = types.sort();
+  }
+  if (field.enum) {
+    summary.enum = field.enum;
+  }
+  if (field.type === 'Object') {
+    const children = describeChildren(stats, enumMaxValues);
+    if (children.length > 0) {
+      field.fields = children.map(child => child.field);
+    }
+    summary.fields = children.map(child => child.summary);
+  }
+  if (field.type === 'Array' && stats.items && stats.items.count > 0) {
+    const item = describeField('[]', stats.items, stats.items.count, enumMaxValues);
+    field.items = _.omit(item.field, ['name', 'required']);
+    summary.items = _.omit(item.summary, ['name', 'required', 'presence']);
+  }
+
+  return { field, summary };
+};
+
+const describeChildren = (stats, enumMaxValues) => [...stats.children.entries()]
+  .map(([name, child]) => describeField(name, child, stats.objectCount || 0, enumMaxValues));
+
+// Carry indexes over: plain single-field indexes become field flags, the rest schema indexes.
+// Options a Schema cannot express are listed in `notes`.
+const mapIndexes = (indexes, fields) => {
+  const schemaIndexes = [];
+  const notes = [];
+
+  indexes.filter(index => index.name !== '_id_').forEach(index => {
+    const keys = Object.keys(index.key);
+    const field = keys.length === 1 ? fields.find(candidate => candidate.name === keys[0]) : null;
+    const isPlainKey = keys.every(key => [1, -1].includes(Number(index.key[key])));
+
+    const unsupported = ['expireAfterSeconds', 'partialFilterExpression', 'collation', 'weights', 'default_language']
+      .filter(option => index[option] !== undefined);
+    if (unsupported.length > 0) {
+      notes.push(`Index ${index.name}: ${unsupported.join(', ')} not kept`);
+    }
+
+    if (field && isPlainKey && !index.sparse) {
+      field.index = true;
+      if (index.unique) {
+        field.unique = true;
+      }
+      return;
+    }
+
+    const options = _.pickBy({ unique: index.unique, sparse: index.sparse }, value => value !== undefined);
+    schemaIndexes.push({ fields: { ...index.key }, ...(Object.keys(options).length > 0 && { options }) });
+  });
+
+  return { indexes: schemaIndexes, notes };
+};
+
+// order_items -> Order Items
+const toDisplayName = (collectionName) => _.startCase(collectionName);
+
+// Infer a draft Schema for a collection from a sample of its documents
+const inferSchema = async (collection, {
+  filter = {},
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  enumMaxValues = DEFAULT_ENUM_MAX_VALUES,
+  excludeFields = []
+} = {}) => {
+  const total = await collection.countDocuments(filter);
+  const cursor = total > sampleSize
+    ? collection.aggregate([{ $match: filter }, { $sample: { size: sampleSize } }])
+    : collection.find(filter);
+
+  const root = createStats();
+  for await (const document of cursor) {
+    recordObject(root, document, enumMaxValues, [...MANAGED_FIELDS, ...excludeFields]);
+  }
+
+  const described = describeChildren(root, enumMaxValues);
+  const fields = described.map(entry => entry.field);
+  const structure = described
+    .filter(entry => entry.summary.fields || entry.summary.items)
+    .map(entry => entry.summary);
+
+  const { indexes, notes } = mapIndexes(await collection.indexes().catch(() => []), fields);
+  const dropped = new Set(excludeFields);
+
+  return {
+    fields,
+    indexes: indexes.filter(index => Object.keys(index.fields).every(key => !dropped.has(key.split('.')[0]))),
+    structure,
+    notes,
+    sample: { documents: root.objectCount || 0, total, sampled: total > sampleSize }
+  };
+};
+
+module.exports = {
+  DEFAULT_SAMPLE_SIZE,
+  DEFAULT_ENUM_MAX_VALUES,
+  getValueType,
+  inferSchema,
+  toDisplayName
+};
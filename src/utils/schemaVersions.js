@@ -0,0 +1,69 @@
+const _ = require('lodash');
+const SchemaVersion = require('../models/SchemaVersion');
+const { diffDocuments, getActor } = require('./audit');
+
+// Every change to a Schema definition is stored as a new entry in schema_versions,
+// together with the differences from the previous version.
+
+const DEFINITION_FIELDS = [
+  'displayName', 'description', 'fields', 'indexes', 'validationRules',
+  'accessRules', 'versioning', 'softDelete', 'nativeValidation'
+];
+
+// Plain copy of the definition parts of a schema, without subdocument ids
+const snapshotDefinition = (schema) => {
+  const plain = JSON.parse(JSON.stringify(schema));
+  const stripIds = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(stripIds);
+    }
+    if (_.isPlainObject(value)) {
+      return _.mapValues(_.omit(value, '_id'), stripIds);
+    }
+    return value;
+  };
+  return stripIds(_.pick(plain, DEFINITION_FIELDS));
+};
+
+// Fields keyed by name, so the diff reads 'fields.amount.type' rather than a whole array
+const keyFieldsByName = (definition) => ({
+  ...definition,
+  fields: _.keyBy(definition?.fields || [], 'name')
+});
+
+const diffDefinitions = (before, after) => diffDocuments(keyFieldsByName(before), keyFieldsByName(after));
+
+// Store the current state of a schema as its version. `previous` is the definition
+// before the change; it is stored first when the schema has no history yet.
+const recordSchemaVersion = async (req, schema, previous = null, previousVersion = null) => {
+  const definition = snapshotDefinition(schema);
+
+  if (previous && previousVersion) {
+    const hasHistory = await SchemaVersion.exists({ schemaId: schema._id, version: previousVersion });
+    if (!hasHistory) {
+      await SchemaVersion.create({
+        schemaId: schema._id,
+        collectionName: schema.collectionName,
+        version: previousVersion,
+        definition: previous,
+        diff: []
+      });
+    }
+  }
+
+  return SchemaVersion.create({
+    schemaId: schema._id,
+    collectionName: schema.collectionName,
+    version: schema.version,
+    definition,
+    diff: previous ? diffDefinitions(previous, definition) : [],
+    actor: getActor(req)
+  });
+};
+
+module.exports = {
+  DEFINITION_FIELDS,
+  snapshotDefinition,
+  diffDefinitions,
+  recordSchemaVersion
+};
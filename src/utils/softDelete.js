@@ -0,0 +1,96 @@
+// Opt-in soft delete. When a schema has softDelete.enabled, deleting a document sets a
+// deletedAt tombstone instead of removing it, and reads skip tombstoned documents
+// unless ?includeDeleted=true is passed.
+
+// Documents read and removed at a time when purging the trash
+const PURGE_BATCH_SIZE = 500;
+
+const isSoftDeleteEnabled = (schemaDef) => !!schemaDef?.softDelete?.enabled;
+
+const wantsDeleted = (req) => req.query.includeDeleted === 'true';
+
+// Limit a query to documents that are not in the trash
+const excludeDeleted = (schemaDef, query, includeDeleted = false) => {
+  if (!isSoftDeleteEnabled(schemaDef) || includeDeleted) {
+    return query;
+  }
+  if (!query || Object.keys(query).length === 0) {
+    return { deletedAt: null };
+  }
+  return { $and: [query, { deletedAt: null }] };
+};
+
+// Limit a query to documents in the trash
+const onlyDeleted = (query) => {
+  const deleted = { deletedAt: { $ne: null } };
+  if (!query || Object.keys(query).length === 0) {
+    return deleted;
+  }
+  return { $and: [query, deleted] };
+};
+
+// Update that moves a document to the trash
+const buildTombstone = (req) => ({
+  $set: {
+    deletedAt: new Date(),
+    deletedBy: req.auth?.name || null
+  }
+});
+
+// Update that takes a document out of the trash
+const buildUndelete = () => ({
+  $unset: {
+    deletedAt: '',
+    deletedBy: ''
+  }
+});
+
+// Permanently remove the trashed documents matching `filter`, streaming them from a cursor
+// in batches. `onBatch` gets the documents of each batch that were actually removed (to audit
+// them); returns the number removed.
+const purgeDeleted = async (model, filter, onBatch, batchSize = PURGE_BATCH_SIZE) => {
+  const trashed = onlyDeleted(filter);
+  let deletedCount = 0;
+  let batch = [];
+
+  const purge = async () => {
+    // Documents taken out of the trash in the meantime are left alone
+    const ids = batch.map(doc => doc._id);
+    const result = await model.deleteMany({ $and: [trashed, { _id: { $in: ids } }] });
+    deletedCount += result.deletedCount;
+
+    // ... and are not reported, so only the documents that are gone now count as purged
+    let removed = batch;
+    if (result.deletedCount < batch.length) {
+      const kept = await model.find({ _id: { $in: ids } }, { _id: 1 }).lean();
+      const keptIds = new Set(kept.map(doc => String(doc._id)));
+      removed = batch.filter(doc => !keptIds.has(String(doc._id)));
+    }
+    if (removed.length > 0) {
+      await onBatch(removed);
+    }
+    batch = [];
+  };
+
+  for await (const doc of model.find(trashed).lean().cursor()) {
+    batch.push(doc);
+    if (batch.length >= batchSize) {
+      await purge();
+    }
+  }
+  if (batch.length > 0) {
+    await purge();
+  }
+
+  return deletedCount;
+};
+
+module.exports = {
+  isSoftDeleteEnabled,
+  wantsDeleted,
+  excludeDeleted,
+  onlyDeleted,
+  buildTombstone,
+  buildUndelete,
+  purgeDeleted
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { diffDocuments } = require('./audit');
+
+// Optional per-collection document history. When a schema has versioning.enabled, the
+// prior state of a document is kept in the <collection>_revisions shadow collection
+// every time it is replaced, updated, deleted or restored.
+
+const ensuredCollections = new Set();
+
+// Attempts at claiming the next revision number before giving up
+const MAX_REVISION_ATTEMPTS = 5;
+
+const isVersioned = (schemaDef) => !!schemaDef?.versioning?.enabled;
+
+const getRevisionCollection = async (collectionName) => {
+  const name = `${collectionName}_revisions`;
+  const collection = mongoose.connection.db.collection(name);
+
+  if (!ensuredCollections.has(name)) {
+    await collection.createIndex({ documentId: 1, revision: -1 }, { unique: true });
+    ensuredCollections.add(name);
+  }
+
+  return collection;
+};
+
+// Insert a revision with the next number for its document. Concurrent writes can claim the
+// same number; the unique index rejects all but one and the others retry with a fresh number.
+const insertRevision = async (revisions, entry) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await revisions.findOne(
+      { documentId: entry.documentId },
+      { sort: { revision: -1 }, projection: { revision: 1 } }
+    );
+    const revision = (latest?.revision || 0) + 1;
+
+    try {
+      await revisions.insertOne({ ...entry, revision });
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Store prior states of documents as new revisions
+const saveRevisions = async (req, schemaDef, collectionName, docs, operation) => {
+  const list = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+  if (!isVersioned(schemaDef) || list.length === 0) {
+    return;
+  }
+
+  const revisions = await getRevisionCollection(collectionName);
+  const maxRevisions = schemaDef.versioning.maxRevisions;
+
+  for (const doc of list) {
+    const snapshot = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const revision = await insertRevision(revisions, {
+      documentId: snapshot._id,
+      operation,
+      snapshot,
+      actor: {
+        authType: req.auth?.type,
+        id: req.auth?.id,
+        name: req.auth?.name
+      },
+      createdAt: new Date()
+    });
+
+    // Prune the oldest revisions beyond the configured limit
+    if (maxRevisions && revision > maxRevisions) {
+      await revisions.deleteMany({
+        documentId: snapshot._id,
+        revision: { $lte: revision - maxRevisions }
+      });
+    }
+  }
+};
+
+// Revision metadata for a document, newest first
+const listRevisions = async (collectionName, documentId) => {
+  const revisions = await getRevisionCollection(collectionName);
+  return revisions.find({ documentId }, { projection: { snapshot: 0 } })
+    .sort({ revision: -1 })
+    .toArray();
+};
+
+const getRevision = async (collectionName, documentId, revision) => {
+  const revisions = await getRevisionCollection(collectionName);
+  return revisions.findOne({ documentId, revision });
+};
+
+// The top-level fields restoring `snapshot` over `current` changes, as an update body
+// ({ field: restored value }) that can be checked like a PUT
+const getRestoredFields = (current, snapshot) => {
+  const names = new Set(diffDocuments(current, snapshot).map(change => change.path.split('.')[0]));
+  names.delete('_id');
+  return Object.fromEntries([...names].map(name => [name, snapshot[name]]));
+};
+
+// Differences between two states; each side is a revision number or 'current'
+const diffRevisions = async (collectionName, documentId, from, to, current) => {
+  const load = async (which) => {
+    if (which === 'current') {
+      return current;
+    }
+    const revision = await getRevision(collectionName, documentId, which);
+    return revision ? revision.snapshot : undefined;
+  };
+
+  const [left, right] = await Promise.all([load(from), load(to)]);
+  if (left === undefined || right === undefined) {
+    return null;
+  }
+
+  return diffDocuments(left, right);
+};
+
+module.exports = {
+  isVersioned,
+  saveRevisions,
+  listRevisions,
+  getRevision,
+  getRestoredFields,
+  diffRevisions
+};
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const { reportAuditFailures } = require('../../src/middleware/auditStatus');
+
+describe('reportAuditFailures', () => {
+  const app = express();
+  app.use(reportAuditFailures);
+  app.get('/audited', (req, res) => res.json({ success: true }));
+  app.get('/unaudited', (req, res) => {
+    req.auditErrors = ['connection reset'];
+    res.status(201).json({ success: true, data: { _id: '1' } });
+  });
+
+  it('leaves audited responses alone', async () => {
+    const res = await request(app).get('/audited');
+    assert.deepStrictEqual(res.body, { success: true });
+  });
+
+  it('keeps the status and flags a change without an audit record', async () => {
+    const res = await request(app).get('/unaudited');
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(res.body.data, { _id: '1' });
+    assert.strictEqual(res.body.auditRecorded, false);
+    assert.match(res.body.warning, /could not be written to the audit log: connection reset/);
+  });
+});
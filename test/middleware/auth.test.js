@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { hasScope } = require('../../src/middleware/auth');
+
+describe('hasScope', () => {
+  it('grants everything to admin', () => {
+    assert.ok(hasScope(['admin'], 'admin'));
+    assert.ok(hasScope(['admin'], 'write:payments'));
+  });
+
+  it('grants a scope that is held exactly', () => {
+    assert.ok(hasScope(['read:payments'], 'read:payments'));
+    assert.ok(!hasScope(['read:payments'], 'read:users'));
+  });
+
+  it('lets write imply read', () => {
+    assert.ok(hasScope(['write'], 'read:payments'));
+    assert.ok(hasScope(['write:payments'], 'read:payments'));
+    assert.ok(!hasScope(['write:payments'], 'read:users'));
+  });
+
+  it('keeps global read from writing', () => {
+    assert.ok(hasScope(['read'], 'read:payments'));
+    assert.ok(!hasScope(['read'], 'write:payments'));
+  });
+
+  it('never grants admin to collection scopes', () => {
+    assert.ok(!hasScope(['write'], 'admin'));
+    assert.ok(!hasScope([], 'read:payments'));
+    assert.ok(!hasScope(undefined, 'read:payments'));
+  });
+});
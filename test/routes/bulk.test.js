@@ -0,0 +1,49 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+
+const Schema = require('../../src/models/Schema');
+const { authenticate } = require('../../src/middleware/auth');
+const universalRoutes = require('../../src/routes/universal');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', authenticate, universalRoutes);
+
+describe('bulk update validation', () => {
+  const { getByCollectionName } = Schema;
+
+  before(() => {
+    const schemaDef = new Schema({
+      collectionName: 'bulk_payments',
+      displayName: 'Bulk payments',
+      fields: [
+        { name: 'amount', type: 'Number', min: 0 },
+        { name: 'status', type: 'String', enum: ['pending', 'paid'] }
+      ]
+    });
+    Schema.getByCollectionName = async () => schemaDef;
+  });
+
+  after(() => {
+    Schema.getByCollectionName = getByCollectionName;
+  });
+
+  // Rejected before anything is read or written, so no database is needed
+  it('rejects updates the schema does not allow', async () => {
+    const res = await request(app)
+      .post('/api/v1/bulk_payments/bulk')
+      .set('X-API-Key', 'test-write-key')
+      .send({
+        operation: 'update',
+        data: [
+          { _id: '65a000000000000000000001', amount: 5 },
+          { _id: '65a000000000000000000002', amount: -1 },
+          { _id: '65a000000000000000000003', status: 'refunded' }
+        ]
+      });
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.errors.map(error => [error.index, error.field]), [[1, 'amount'], [2, 'status']]);
+  });
+});
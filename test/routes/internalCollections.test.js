@@ -0,0 +1,71 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+
+// test-write-key and test-read-key are configured in test/setup.js
+const { authenticate } = require('../../src/middleware/auth');
+const universalRoutes = require('../../src/routes/universal');
+const collectionRoutes = require('../../src/routes/collections');
+const { isInternalCollection } = require('../../src/utils/internalCollections');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/collections', authenticate, collectionRoutes);
+app.use('/api/v1', authenticate, universalRoutes);
+
+const id = '65a000000000000000000001';
+
+describe('internal collections', () => {
+  it('recognizes the API\'s own collections', () => {
+    ['api_keys', 'audit_logs', 'schemas', 'schema_versions', 'migrations', 'migration_rollbacks',
+      'sequence_counters', 'payments_revisions', 'system.profile', 'API_KEYS']
+      .forEach(name => assert.ok(isInternalCollection(name), name));
+    ['payments', 'users', 'revisions'].forEach(name => assert.ok(!isInternalCollection(name), name));
+  });
+
+  it('refuses a write key on POST /api/v1/api_keys', async () => {
+    const res = await request(app)
+      .post('/api/v1/api_keys')
+      .set('X-API-Key', 'test-write-key')
+      .send({ keyHash: 'x', scopes: ['admin'] });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.requiredScope, 'admin');
+  });
+
+  it('refuses writes to the audit log, counters and key store through every router', async () => {
+    const attempts = [
+      request(app).patch(`/api/v1/audit_logs/${id}`).send({ action: 'x' }),
+      request(app).put(`/api/v1/audit_logs/${id}`).send({ action: 'x' }),
+      request(app).delete(`/api/v1/audit_logs/${id}`),
+      request(app).post('/api/v1/audit_logs/bulk').send({ operation: 'delete', data: [{ _id: id }] }),
+      request(app).patch(`/api/v1/sequence_counters/${id}`).send({ count: 0 }),
+      request(app).post('/api/v1/collections/api_keys/documents').send({ keyHash: 'x', scopes: ['admin'] })
+    ];
+    for (const attempt of attempts) {
+      const res = await attempt.set('X-API-Key', 'test-write-key');
+      assert.strictEqual(res.status, 403, `${res.req.method} ${res.req.path}`);
+    }
+  });
+
+  it('refuses reads of key hashes and revision snapshots', async () => {
+    const reads = [
+      '/api/v1/api_keys',
+      '/api/v1/payments_revisions',
+      '/api/v1/migration_rollbacks/export',
+      '/api/v1/collections/api_keys/documents',
+      '/api/v1/collections/schema_versions'
+    ];
+    for (const path of reads) {
+      const res = await request(app).get(path).set('X-API-Key', 'test-read-key');
+      assert.strictEqual(res.status, 403, path);
+    }
+  });
+
+  it('refuses schema inference on internal collections', async () => {
+    const res = await request(app)
+      .post('/api/v1/collections/api_keys/infer-schema')
+      .set('X-API-Key', 'test-read-key')
+      .send({});
+    assert.strictEqual(res.status, 403);
+  });
+});
@@ -0,0 +1,33 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+
+const schemaRoutes = require('../../src/routes/schemas');
+
+// Validation runs before any database access
+const app = express();
+app.use(express.json());
+app.use('/api/v1/schemas', schemaRoutes);
+
+const id = '65a000000000000000000001';
+
+describe('schema routes', () => {
+  ['post', 'put'].forEach(method => {
+    const path = method === 'post' ? '/api/v1/schemas' : `/api/v1/schemas/${id}`;
+    const base = { collectionName: 'payments', displayName: 'Payments' };
+
+    it(`${method.toUpperCase()} rejects unknown field types`, async () => {
+      const res = await request(app)[method](path)
+        .send({ ...base, fields: [{ name: 'amount', type: 'Money' }] });
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.errors.some(error => error.msg === 'Invalid field type'));
+    });
+
+    it(`${method.toUpperCase()} rejects unknown generated strategies`, async () => {
+      const res = await request(app)[method](path)
+        .send({ ...base, fields: [{ name: 'number', type: 'Number', generated: { strategy: 'random' } }] });
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.errors.some(error => error.msg === 'Invalid generated strategy'));
+    });
+  });
+});
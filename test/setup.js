@@ -0,0 +1,7 @@
+// Loaded before every test file (see .mocharc.json), so the config picks these keys up
+// whichever file requires it first
+process.env.API_KEY = 'test-admin-key';
+process.env.API_KEYS = JSON.stringify([
+  { name: 'writer', key: 'test-write-key', scopes: ['write'] },
+  { name: 'reader', key: 'test-read-key', scopes: ['read'] }
+]);
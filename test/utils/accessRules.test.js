@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { buildAccessFilter, applyAccessFilter, stampOwnership } = require('../../src/utils/accessRules');
+
+const schemaDef = {
+  accessRules: [
+    { operations: ['read', 'create', 'update'], filter: { ownerId: '$user.id' } },
+    { roles: ['support'], operations: ['read'], filter: {} },
+    { roles: ['tenant-admin'], operations: ['delete'], filter: { tenant: '$user.claims.tenant' } }
+  ]
+};
+
+const userRequest = (user) => ({ user: { roles: [], claims: {}, ...user } });
+
+describe('buildAccessFilter', () => {
+  it('does not restrict API keys or schemaless collections', () => {
+    assert.deepStrictEqual(buildAccessFilter(schemaDef, {}, 'read'), {});
+    assert.deepStrictEqual(buildAccessFilter(null, userRequest({ id: 'u1' }), 'read'), {});
+  });
+
+  it('resolves $user placeholders', () => {
+    assert.deepStrictEqual(buildAccessFilter(schemaDef, userRequest({ id: 'u1' }), 'read'), { ownerId: 'u1' });
+  });
+
+  it('returns an empty filter when a matching rule is unrestricted', () => {
+    assert.deepStrictEqual(buildAccessFilter(schemaDef, userRequest({ id: 'u1', roles: ['support'] }), 'read'), {});
+  });
+
+  it('returns null when no rule grants the operation', () => {
+    assert.strictEqual(buildAccessFilter(schemaDef, userRequest({ id: 'u1' }), 'delete'), null);
+  });
+
+  it('drops rules whose placeholders cannot be resolved', () => {
+    const req = userRequest({ id: 'u1', roles: ['tenant-admin'] });
+    assert.strictEqual(buildAccessFilter(schemaDef, req, 'delete'), null);
+    req.user.claims.tenant = 't1';
+    assert.deepStrictEqual(buildAccessFilter(schemaDef, req, 'delete'), { tenant: 't1' });
+  });
+});
+
+describe('applyAccessFilter', () => {
+  it('combines a query with an access filter', () => {
+    assert.deepStrictEqual(applyAccessFilter({ status: 'a' }, {}), { status: 'a' });
+    assert.deepStrictEqual(applyAccessFilter({}, { ownerId: 'u1' }), { ownerId: 'u1' });
+    assert.deepStrictEqual(applyAccessFilter({ status: 'a' }, { ownerId: 'u1' }), { $and: [{ status: 'a' }, { ownerId: 'u1' }] });
+  });
+});
+
+describe('stampOwnership', () => {
+  it('overrides ownership fields sent by the client', () => {
+    const doc = stampOwnership(schemaDef, userRequest({ id: 'u1' }), { ownerId: 'someone-else', amount: 5 });
+    assert.deepStrictEqual(doc, { ownerId: 'u1', amount: 5 });
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const config = require('../../src/config');
+const AuditLog = require('../../src/models/AuditLog');
+const { diffDocuments, recordAudit } = require('../../src/utils/audit');
+
+const req = { method: 'PATCH', originalUrl: '/api/v1/payments/1', auth: { type: 'apiKey', id: 'k1', name: 'writer' } };
+
+describe('diffDocuments', () => {
+  it('lists changed paths, descending into objects', () => {
+    const diff = diffDocuments({ a: 1, b: { c: 2, d: 3 } }, { a: 1, b: { c: 4, d: 3 }, e: 5 });
+    assert.deepStrictEqual(diff, [
+      { path: 'b.c', from: 2, to: 4 },
+      { path: 'e', from: null, to: 5 }
+    ]);
+  });
+});
+
+describe('recordAudit', () => {
+  const { insertMany } = AuditLog;
+  const { retryDelayMs } = config.audit;
+
+  before(() => {
+    config.audit.retryDelayMs = 0;
+  });
+
+  after(() => {
+    AuditLog.insertMany = insertMany;
+    config.audit.retryDelayMs = retryDelayMs;
+  });
+
+  it('retries a failed write with the same entry ids', async () => {
+    const attempts = [];
+    AuditLog.insertMany = async (docs) => {
+      attempts.push(docs.map(doc => String(doc._id)));
+      if (attempts.length === 1) {
+        throw new Error('connection reset');
+      }
+    };
+
+    await recordAudit(req, { action: 'update', collectionName: 'payments', documentId: '1', before: { a: 1 }, after: { a: 2 } });
+    assert.strictEqual(attempts.length, 2);
+    assert.deepStrictEqual(attempts[0], attempts[1]);
+  });
+
+  it('treats entries an earlier attempt already wrote as written', async () => {
+    AuditLog.insertMany = async () => {
+      throw Object.assign(new Error('duplicate key'), { writeErrors: [{ code: 11000 }] });
+    };
+
+    await recordAudit(req, { action: 'update', collectionName: 'payments', documentId: '1' });
+  });
+
+  it('reports the failure on the request once the retries are used up', async () => {
+    let calls = 0;
+    AuditLog.insertMany = async () => {
+      calls++;
+      throw new Error('connection reset');
+    };
+    const failedReq = { ...req };
+
+    const recorded = await recordAudit(failedReq, { action: 'delete', collectionName: 'payments', documentId: '1' });
+    assert.strictEqual(recorded, false);
+    assert.deepStrictEqual(failedReq.auditErrors, ['connection reset']);
+    assert.strictEqual(calls, config.audit.writeRetries + 1);
+  });
+});
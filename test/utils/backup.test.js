@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { selectRetained } = require('../../src/utils/backup');
+
+// Newest first, as listBackups() returns them
+const backups = [
+  '2024-03-10T02:00:00Z',
+  '2024-03-09T14:00:00Z',
+  '2024-03-09T02:00:00Z',
+  '2024-03-01T02:00:00Z',
+  '2024-02-15T02:00:00Z'
+].map(date => ({ name: date, createdAt: new Date(date) }));
+
+describe('selectRetained', () => {
+  it('keeps everything without rules', () => {
+    assert.strictEqual(selectRetained(backups, {}), null);
+  });
+
+  it('keeps the newest `last` backups', () => {
+    assert.deepStrictEqual([...selectRetained(backups, { last: 2 })], ['2024-03-10T02:00:00Z', '2024-03-09T14:00:00Z']);
+  });
+
+  it('keeps the newest backup of each recent day', () => {
+    assert.deepStrictEqual([...selectRetained(backups, { daily: 2 })], ['2024-03-10T02:00:00Z', '2024-03-09T14:00:00Z']);
+  });
+
+  it('keeps the newest backup of each recent month', () => {
+    assert.deepStrictEqual([...selectRetained(backups, { monthly: 2 })], ['2024-03-10T02:00:00Z', '2024-02-15T02:00:00Z']);
+  });
+
+  it('combines rules', () => {
+    const keep = selectRetained(backups, { last: 1, monthly: 2, weekly: 2 });
+    assert.deepStrictEqual([...keep].sort(), ['2024-02-15T02:00:00Z', '2024-03-01T02:00:00Z', '2024-03-10T02:00:00Z']);
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { parseFilters } = require('../../src/utils/filterParser');
+
+const schemaDef = {
+  fields: [
+    { name: 'status', type: 'String' },
+    { name: 'amount', type: 'Number' },
+    { name: 'total', type: 'Decimal128' },
+    { name: 'paid', type: 'Boolean' },
+    { name: 'customer', type: 'ObjectId' },
+    { name: 'secret', type: 'String', hidden: true }
+  ]
+};
+
+describe('parseFilters', () => {
+  it('coerces shorthand values to the schema types', () => {
+    const { query, errors } = parseFilters({ amount: '5', paid: 'true' }, schemaDef);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(query.amount, 5);
+    assert.strictEqual(query.paid, true);
+  });
+
+  it('compares decimals exactly', () => {
+    const { query } = parseFilters({ 'total>10.50': '' }, schemaDef);
+    assert.strictEqual(query.total.$gt._bsontype, 'Decimal128');
+    assert.strictEqual(query.total.$gt.toString(), '10.50');
+  });
+
+  it('turns comma lists into $in', () => {
+    const { query } = parseFilters({ status: 'active,pending' }, schemaDef);
+    assert.deepStrictEqual(query.status, { $in: ['active', 'pending'] });
+  });
+
+  it('casts ObjectIds in structured filters', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const { query, errors } = parseFilters({ filter: JSON.stringify({ customer: id }) }, schemaDef);
+    assert.deepStrictEqual(errors, []);
+    assert.ok(query.customer instanceof mongoose.Types.ObjectId);
+  });
+
+  it('rejects operators outside the allow list', () => {
+    const { errors } = parseFilters({ filter: JSON.stringify({ $where: 'true' }) }, schemaDef);
+    assert.ok(errors.length > 0);
+  });
+
+  it('rejects filters on unreadable fields', () => {
+    const { errors } = parseFilters({ secret: 'x' }, schemaDef, { unreadableFields: ['secret'] });
+    assert.ok(errors.length > 0);
+  });
+
+  it('skips reserved parameters', () => {
+    const { query } = parseFilters({ page: '2', sort: 'amount' }, schemaDef, { reserved: ['page', 'sort'] });
+    assert.deepStrictEqual(query, {});
+  });
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+const { describeGeneratedError, applyGeneratedValues } = require('../../src/utils/generatedFields');
+
+describe('describeGeneratedError', () => {
+  it('accepts strategies on the field types they can fill', () => {
+    assert.strictEqual(describeGeneratedError({ type: 'Date', generated: { strategy: 'timestamp' } }), null);
+    assert.strictEqual(describeGeneratedError({ type: 'String', generated: { strategy: 'sequence', prefix: 'INV-' } }), null);
+  });
+
+  it('rejects caller on ObjectId fields', () => {
+    assert.match(describeGeneratedError({ type: 'ObjectId', generated: { strategy: 'caller' } }), /cannot fill a ObjectId field/);
+  });
+
+  it('rejects prefix and padding on numeric sequences', () => {
+    assert.strictEqual(
+      describeGeneratedError({ type: 'Number', generated: { strategy: 'sequence', padding: 4 } }),
+      'prefix and padding need a String field'
+    );
+  });
+});
+
+describe('applyGeneratedValues', () => {
+  const req = { auth: { type: 'apiKey', id: 'config:default', name: 'default' } };
+  const schemaDef = {
+    collectionName: 'payments',
+    fields: [
+      { name: 'createdBy', type: 'String', generated: { strategy: 'caller' } },
+      { name: 'creator', type: 'Object', generated: { strategy: 'caller' } },
+      { name: 'reference', type: 'UUID', generated: { strategy: 'uuid' } },
+      { name: 'amount', type: 'Number' }
+    ]
+  };
+
+  it('fills generated fields over whatever was sent', async () => {
+    const [doc] = await applyGeneratedValues(schemaDef, req, [{ createdBy: 'someone else', amount: 5 }]);
+    assert.strictEqual(doc.createdBy, 'config:default');
+    assert.deepStrictEqual(doc.creator, { authType: 'apiKey', id: 'config:default', name: 'default' });
+    assert.match(doc.reference, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(doc.amount, 5);
+  });
+});
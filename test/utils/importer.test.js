@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { coerceRow } = require('../../src/utils/importer');
+
+const schemaDef = {
+  fields: [
+    { name: 'amount', type: 'Number' },
+    { name: 'paidAt', type: 'Date' },
+    { name: 'tags', type: 'Array' },
+    { name: 'address', type: 'Object', fields: [{ name: 'zip', type: 'Number' }] }
+  ]
+};
+
+describe('coerceRow', () => {
+  it('coerces CSV cells to the schema types', () => {
+    const { document, errors } = coerceRow(schemaDef, {
+      amount: '12.5',
+      paidAt: '2024-01-01T00:00:00Z',
+      tags: '["a","b"]',
+      address: { zip: '1000' }
+    }, true);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(document.amount, 12.5);
+    assert.ok(document.paidAt instanceof Date);
+    assert.deepStrictEqual(document.tags, ['a', 'b']);
+    assert.strictEqual(document.address.zip, 1000);
+  });
+
+  it('detects types of CSV cells without a schema', () => {
+    const { document } = coerceRow(null, { count: '3', active: 'false', note: 'hi' }, true);
+    assert.deepStrictEqual(document, { count: 3, active: false, note: 'hi' });
+  });
+
+  it('keeps NDJSON values without a schema type as they are', () => {
+    const { document } = coerceRow(null, { count: '3' }, false);
+    assert.deepStrictEqual(document, { count: '3' });
+  });
+
+  it('reports values that do not fit the type', () => {
+    const { errors } = coerceRow(schemaDef, { amount: 'abc' }, true);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].field, 'amount');
+  });
+});
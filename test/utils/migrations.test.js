@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { isRunning, migrateDocument } = require('../../src/utils/migrations');
+
+describe('isRunning', () => {
+  it('needs a run id and a recent heartbeat', () => {
+    assert.strictEqual(isRunning({ status: 'running' }), false);
+    assert.strictEqual(isRunning({ runId: 'r1', heartbeatAt: new Date() }), true);
+    assert.strictEqual(isRunning({ runId: 'r1', heartbeatAt: new Date(Date.now() - 10 * 60 * 1000) }), false);
+  });
+});
+
+describe('migrateDocument', () => {
+  it('returns the update and the values to roll back', () => {
+    const result = migrateDocument({ _id: 1, fullName: 'Ada Lovelace' }, [
+      { op: 'split', field: 'fullName', into: ['first', 'last'] }
+    ]);
+    assert.deepStrictEqual(result.after, { _id: 1, first: 'Ada', last: 'Lovelace' });
+    assert.ok(result.rollback);
+  });
+
+  it('returns null when nothing changes', () => {
+    assert.strictEqual(migrateDocument({ _id: 1, status: 'paid' }, [{ op: 'default', field: 'status', value: 'new' }]), null);
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { buildKeysetFilter, parseSort, parsePagination } = require('../../src/utils/pagination');
+
+describe('buildKeysetFilter', () => {
+  it('compares a single ascending key', () => {
+    assert.deepStrictEqual(buildKeysetFilter({ _id: 1 }, ['a'], false), { _id: { $gt: 'a' } });
+  });
+
+  it('flips the comparison when paging backwards', () => {
+    assert.deepStrictEqual(buildKeysetFilter({ _id: 1 }, ['a'], true), { _id: { $lt: 'a' } });
+  });
+
+  it('breaks ties on the following keys', () => {
+    assert.deepStrictEqual(buildKeysetFilter({ amount: -1, _id: -1 }, [10, 'a'], false), {
+      $or: [
+        { $or: [{ amount: { $lt: 10 } }, { amount: null }] },
+        { amount: 10, _id: { $lt: 'a' } }
+      ]
+    });
+  });
+
+  it('includes null and missing values after the cursor in descending order', () => {
+    assert.deepStrictEqual(buildKeysetFilter({ dueDate: -1, _id: -1 }, [5, 'a'], false), {
+      $or: [
+        { $or: [{ dueDate: { $lt: 5 } }, { dueDate: null }] },
+        { dueDate: 5, _id: { $lt: 'a' } }
+      ]
+    });
+  });
+
+  it('continues past a cursor on a null value', () => {
+    assert.deepStrictEqual(buildKeysetFilter({ dueDate: 1, _id: 1 }, [null, 'a'], false), {
+      $or: [
+        { dueDate: { $ne: null } },
+        { dueDate: null, _id: { $gt: 'a' } }
+      ]
+    });
+    // Nothing sorts below null, so only the tiebreaker remains when paging back
+    assert.deepStrictEqual(buildKeysetFilter({ dueDate: 1, _id: 1 }, [null, 'a'], true), {
+      dueDate: null,
+      _id: { $lt: 'a' }
+    });
+  });
+});
+
+describe('parseSort', () => {
+  it('defaults to newest first', () => {
+    assert.deepStrictEqual(parseSort(undefined), { sort: { createdAt: -1 }, errors: [] });
+  });
+
+  it('reads directions from the prefix', () => {
+    assert.deepStrictEqual(parseSort('-amount,name').sort, { amount: -1, name: 1 });
+  });
+
+  it('rejects fields the caller may not read', () => {
+    const { sort, errors } = parseSort('-salary.base,name', { unreadableFields: ['salary'] });
+    assert.deepStrictEqual(sort, { name: 1 });
+    assert.deepStrictEqual(errors, [{ field: 'salary.base', message: "Cannot sort on field 'salary.base'" }]);
+  });
+});
+
+describe('parsePagination', () => {
+  it('defaults to page mode with an exact count', () => {
+    const options = parsePagination({}, { createdAt: -1 });
+    assert.strictEqual(options.mode, 'page');
+    assert.strictEqual(options.count, 'exact');
+    assert.strictEqual(options.limit, 10);
+  });
+
+  it('adds an _id tiebreaker in cursor mode', () => {
+    const options = parsePagination({ paginate: 'cursor' }, { createdAt: -1 });
+    assert.deepStrictEqual(options.sort, { createdAt: -1, _id: -1 });
+    assert.strictEqual(options.count, 'none');
+  });
+
+  it('rejects cursors that do not decode', () => {
+    assert.ok(parsePagination({ cursor: 'not-a-cursor' }, { createdAt: -1 }).error);
+  });
+});
@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { parsePopulate } = require('../../src/utils/populate');
+
+describe('parsePopulate', () => {
+  it('splits paths on top-level commas', () => {
+    assert.deepStrictEqual(parsePopulate('customer,merchant').specs, [
+      { path: 'customer', fields: null },
+      { path: 'merchant', fields: null }
+    ]);
+  });
+
+  it('reads per-path field selections', () => {
+    assert.deepStrictEqual(parsePopulate('customer(name, email),lines.product').specs, [
+      { path: 'customer', fields: ['name', 'email'] },
+      { path: 'lines.product', fields: null }
+    ]);
+  });
+
+  it('reports malformed entries', () => {
+    const { specs, errors } = parsePopulate('customer(name,merchant');
+    assert.deepStrictEqual(specs, []);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(parsePopulate('$where').errors.length, 1);
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { restoreCollection } = require('../../src/utils/restore');
+
+// Just enough of a MongoDB database for restoreCollection, keyed by string _ids
+const createDb = (initial = {}) => {
+  const collections = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    const docs = collections.get(name);
+    const matching = (filter) => [...docs.values()].filter(doc => !filter._id || filter._id.$in.includes(doc._id));
+    const cursor = (list) => ({
+      toArray: async () => list,
+      [Symbol.asyncIterator]: async function* () {
+        yield* list;
+      }
+    });
+
+    return {
+      find: (filter = {}) => cursor(matching(filter)),
+      bulkWrite: async (operations) => operations.forEach(operation => {
+        const doc = operation.insertOne ? operation.insertOne.document : operation.replaceOne.replacement;
+        docs.set(doc._id, doc);
+      }),
+      insertMany: async (list) => list.forEach(doc => docs.set(doc._id, doc)),
+      deleteMany: async (filter) => {
+        const removed = matching(filter);
+        removed.forEach(doc => docs.delete(doc._id));
+        return { deletedCount: removed.length };
+      },
+      drop: async () => collections.delete(name),
+      indexes: async () => []
+    };
+  };
+
+  Object.entries(initial).forEach(([name, list]) => {
+    const target = collection(name);
+    list.forEach(doc => target.insertMany([doc]));
+  });
+
+  return {
+    collections,
+    collection,
+    listCollections: () => ({ toArray: async () => [{ name: 'payments', options: {} }] })
+  };
+};
+
+describe('restoreCollection', () => {
+  it('removes documents missing from the backup in replace mode', async () => {
+    const db = createDb({ payments: [{ _id: 'a', amount: 1 }, { _id: 'b', amount: 2 }, { _id: 'c', amount: 3 }] });
+    const report = await restoreCollection(db, 'payments', {
+      documents: [{ _id: 'a', amount: 1 }, { _id: 'b', amount: 5 }, { _id: 'd', amount: 4 }]
+    }, { mode: 'replace' });
+
+    assert.deepStrictEqual(
+      { added: report.added, changed: report.changed, unchanged: report.unchanged, removed: report.removed },
+      { added: 1, changed: 1, unchanged: 1, removed: 1 }
+    );
+    assert.deepStrictEqual([...db.collections.get('payments').keys()].sort(), ['a', 'b', 'd']);
+    // The staging collection is dropped
+    assert.deepStrictEqual([...db.collections.keys()], ['payments']);
+  });
+
+  it('only counts the documents replace mode would remove on a dry run', async () => {
+    const db = createDb({ payments: [{ _id: 'a' }, { _id: 'c' }] });
+    const { collection } = db;
+    const used = [];
+    db.collection = (name) => {
+      used.push(name);
+      return collection(name);
+    };
+    const report = await restoreCollection(db, 'payments', { documents: [{ _id: 'a' }] }, { mode: 'replace', dryRun: true });
+
+    assert.strictEqual(report.removed, 1);
+    assert.deepStrictEqual([...db.collections.get('payments').keys()].sort(), ['a', 'c']);
+    // Nothing is staged on a dry run
+    assert.deepStrictEqual([...new Set(used)], ['payments']);
+  });
+
+  it('reports documents without an _id instead of inserting them', async () => {
+    const db = createDb({ payments: [] });
+    const report = await restoreCollection(db, 'payments', {
+      documents: [{ _id: 'a' }, { amount: 7 }]
+    }, { mode: 'merge' });
+
+    assert.strictEqual(report.added, 1);
+    assert.strictEqual(report.failed, 1);
+    assert.match(report.errors[0].error, /no _id/);
+    assert.deepStrictEqual([...db.collections.get('payments').keys()], ['a']);
+  });
+});
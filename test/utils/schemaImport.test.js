@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { detectFormat, readSources } = require('../../src/utils/schemaImport');
+
+const read = (source, options = {}) => readSources([source], options)[0];
+
+describe('schema import mapping', () => {
+  it('detects source formats', () => {
+    assert.strictEqual(detectFormat({ openapi: '3.0.0', components: {} }), 'openapi');
+    assert.strictEqual(detectFormat({ $jsonSchema: { properties: {} } }), 'jsonschema');
+    assert.strictEqual(detectFormat({ collectionName: 'payments', fields: [] }), 'native');
+  });
+
+  it('maps JSON Schema properties to fields', () => {
+    const candidate = read({
+      title: 'payments',
+      type: 'object',
+      required: ['amount'],
+      properties: {
+        amount: { type: 'number', minimum: 0 },
+        status: { type: 'string', enum: ['paid', 'open'] },
+        paidAt: { type: 'string', format: 'date-time' },
+        reference: { type: 'string', format: 'uuid', readOnly: true }
+      }
+    }, { format: 'jsonschema' });
+
+    assert.strictEqual(candidate.collectionName, 'payments');
+    assert.deepStrictEqual(candidate.definition.fields, [
+      { name: 'amount', type: 'Number', min: 0, required: true },
+      { name: 'status', type: 'String', enum: ['paid', 'open'], required: false },
+      { name: 'paidAt', type: 'Date', required: false },
+      { name: 'reference', type: 'UUID', required: false, readOnly: true }
+    ]);
+  });
+
+  it('maps nested objects, typed arrays and maps', () => {
+    const candidate = read({
+      $jsonSchema: {
+        bsonType: 'object',
+        properties: {
+          lines: { bsonType: 'array', items: { bsonType: 'object', properties: { sku: { bsonType: 'string' } } } },
+          totals: { bsonType: 'object', additionalProperties: { bsonType: 'decimal' } }
+        }
+      }
+    }, { format: 'jsonschema', collectionName: 'orders' });
+
+    const [lines, totals] = candidate.definition.fields;
+    assert.deepStrictEqual(lines.items, { type: 'Object', fields: [{ name: 'sku', type: 'String', required: false }] });
+    assert.deepStrictEqual(totals, { name: 'totals', type: 'Map', items: { type: 'Decimal128' }, required: false });
+  });
+
+  it('reports keywords it cannot map', () => {
+    const candidate = read({
+      title: 'payments',
+      properties: { amount: { type: 'number', multipleOf: 0.01 } }
+    }, { format: 'jsonschema' });
+    assert.ok(candidate.unmapped.some(message => message.includes('multipleOf')));
+  });
+
+  it('resolves $ref in OpenAPI components', () => {
+    const candidates = readSources([{
+      openapi: '3.0.0',
+      components: {
+        schemas: {
+          Money: { type: 'number', minimum: 0 },
+          Payment: { type: 'object', properties: { amount: { $ref: '#/components/schemas/Money' } } }
+        }
+      }
+    }], { format: 'openapi', components: ['Payment'] });
+
+    assert.strictEqual(candidates.length, 1);
+    assert.deepStrictEqual(candidates[0].definition.fields, [{ name: 'amount', type: 'Number', min: 0, required: false }]);
+  });
+
+  it('rejects native exports with unknown field types', () => {
+    const candidate = read({ collectionName: 'payments', displayName: 'Payments', fields: [{ name: 'a', type: 'Money' }] });
+    assert.ok(candidate.errors.length > 0);
+  });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { excludeDeleted, purgeDeleted } = require('../../src/utils/softDelete');
+
+describe('excludeDeleted', () => {
+  const schemaDef = { softDelete: { enabled: true } };
+
+  it('only limits schemas with soft delete', () => {
+    assert.deepStrictEqual(excludeDeleted(null, { status: 'paid' }), { status: 'paid' });
+    assert.deepStrictEqual(excludeDeleted(schemaDef, {}), { deletedAt: null });
+    assert.deepStrictEqual(excludeDeleted(schemaDef, { status: 'paid' }), { $and: [{ status: 'paid' }, { deletedAt: null }] });
+  });
+});
+
+describe('purgeDeleted', () => {
+  // A model whose find() cursor yields `docs` and whose deleteMany() records its filters,
+  // removing everything except the `restored` ids
+  const createModel = (docs, restored = []) => {
+    const deletes = [];
+    return {
+      deletes,
+      find: (filter) => ({
+        lean: () => Object.assign(
+          Promise.resolve(docs.filter(doc => filter._id && filter._id.$in.includes(doc._id) && restored.includes(doc._id))),
+          {
+            cursor: async function* () {
+              yield* docs;
+            }
+          }
+        )
+      }),
+      deleteMany: async (filter) => {
+        deletes.push(filter);
+        return { deletedCount: filter.$and[1]._id.$in.filter(id => !restored.includes(id)).length };
+      }
+    };
+  };
+
+  it('removes and reports the documents batch by batch', async () => {
+    const model = createModel([{ _id: 1 }, { _id: 2 }, { _id: 3 }, { _id: 4 }, { _id: 5 }]);
+    const batches = [];
+
+    const deletedCount = await purgeDeleted(model, { deletedAt: { $lte: 'cutoff' } }, async (batch) => {
+      batches.push(batch.map(doc => doc._id));
+    }, 2);
+
+    assert.strictEqual(deletedCount, 5);
+    assert.deepStrictEqual(batches, [[1, 2], [3, 4], [5]]);
+    // Each delete is still limited to documents in the trash
+    assert.deepStrictEqual(model.deletes[0], {
+      $and: [
+        { $and: [{ deletedAt: { $lte: 'cutoff' } }, { deletedAt: { $ne: null } }] },
+        { _id: { $in: [1, 2] } }
+      ]
+    });
+  });
+
+  it('leaves documents restored during the purge out of the report', async () => {
+    const model = createModel([{ _id: 1 }, { _id: 2 }, { _id: 3 }, { _id: 4 }], [2, 3, 4]);
+    const batches = [];
+
+    const deletedCount = await purgeDeleted(model, {}, async (batch) => {
+      batches.push(batch.map(doc => doc._id));
+    }, 2);
+
+    assert.strictEqual(deletedCount, 1);
+    assert.deepStrictEqual(batches, [[1]]);
+  });
+
+  it('does nothing when the trash is empty', async () => {
+    const model = createModel([]);
+    let calls = 0;
+    assert.strictEqual(await purgeDeleted(model, {}, async () => { calls++; }), 0);
+    assert.strictEqual(calls, 0);
+  });
+});
@@ -0,0 +1,22 @@
+const assert = require('assert');
+const { getRestoredFields } = require('../../src/utils/versioning');
+
+describe('getRestoredFields', () => {
+  it('lists the top-level fields a restore changes with their restored values', () => {
+    const current = { _id: 'a', status: 'paid', amount: 10, meta: { note: 'x', tag: 'y' } };
+    const snapshot = { _id: 'a', status: 'pending', amount: 10, meta: { note: 'z', tag: 'y' }, legacy: true };
+    assert.deepStrictEqual(getRestoredFields(current, snapshot), {
+      status: 'pending',
+      meta: { note: 'z', tag: 'y' },
+      legacy: true
+    });
+  });
+
+  it('includes fields the restore removes', () => {
+    assert.deepStrictEqual(getRestoredFields({ _id: 'a', approvedBy: 'u1' }, { _id: 'a' }), { approvedBy: undefined });
+  });
+
+  it('treats every field as changed when the document no longer exists', () => {
+    assert.deepStrictEqual(Object.keys(getRestoredFields({}, { _id: 'a', status: 'paid' })), ['status']);
+  });
+});